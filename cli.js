@@ -0,0 +1,773 @@
+#!/usr/bin/env node
+/**
+ * Management CLI: sessions, story trackers, downloaded media and scraper runs
+ *
+ *   node cli.js session status|clear|export|import [account]
+ *   node cli.js tracker stats|list|clear|prune|import [username]
+ *   node cli.js media list|delete|gc
+ *   node cli.js archive query|stats
+ *   node cli.js outbox list|show|flush|replay|drop
+ *   node cli.js run --target <username> [--target ...]
+ *
+ * Every command accepts --json: the result is printed to stdout as JSON and the log goes to stderr.
+ * Run `node cli.js help` for the options of each command.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { config } from './config/env.js';
+import { setLogToStderr } from './utils/logger.js';
+import { isEncryptedEnvelope, decryptJson, loadSessionSecret } from './utils/sessionCrypto.js';
+import { SessionManager } from './services/sessionManager.js';
+import { AccountPool } from './services/accountPool.js';
+import { StoryTracker, listTrackers } from './services/storyTracker.js';
+import { getAllVideoIds, getVideoPath, deleteVideo, cleanTempMedia } from './services/videoProcessor.js';
+import { getAllImageIds, getImagePath, deleteImage } from './services/imageProcessor.js';
+import { getArchive, DeliveryStatus } from './services/storyArchive.js';
+import { Outbox, OutboxStatus, InvalidOutboxIdError } from './services/outbox.js';
+import { MediaIndex } from './services/mediaIndex.js';
+
+// Exit codes, the same for every command
+const EXIT = Object.freeze({
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+});
+
+// Temp downloads younger than this may belong to a running scrape
+const TEMP_MEDIA_MIN_AGE = 60 * 60 * 1000;
+
+const USAGE = `Usage: node cli.js <command> <action> [args] [--json]
+
+  session status [account]               Session file (and browser profile) of every account
+  session clear [account] [--profile]    Delete session files, or back up and delete browser profiles
+  session export <account> [--out file]  Print the decrypted session (cookies included!)
+  session import <account> <file>        Store a session exported elsewhere [--force to skip validity check]
+
+  tracker stats [username]               Processed IDs per tracker
+  tracker list <username>                Processed IDs of a target
+  tracker clear <username>               Forget every processed ID of a target
+  tracker prune <username> --keep <n>    Keep only the n most recently seen IDs
+  tracker import <username> <file>       Mark IDs as processed: a JSON array, a tracker or a stories_*.json file
+
+  media list [--type video|image]        Downloaded stories and the output files referencing them
+  media delete <id> [...] [--force]      Delete downloaded stories (--force: even files shared by duplicate stories)
+  media gc [--older-than <days>] [--orphans] [--dry-run]
+                                         Delete temp leftovers, old media and media no output file references
+
+  archive query [--username u] [--kind stories|highlights] [--type video|image] [--has-link|--no-link]
+                [--since date] [--until date] [--status pending|delivered|failed|skipped] [--run id] [--limit n]
+                                         Archived stories, newest first (dates filter on taken_at)
+  archive stats                          Archived stories per target
+
+  outbox list                            Payloads waiting for the Laravel API
+  outbox show <id>                       An outbox entry with its payload
+  outbox flush                           Deliver the payloads that are due
+  outbox replay [id ...]                 Deliver now, ignoring backoff: the given entries, else every entry (dead ones too)
+  outbox drop <id> [...]                 Delete entries without delivering them
+
+  run --target <username> [...] [--mode stories|highlights|all]
+                                         Run the scraper for the given targets only
+
+  Tracker commands take --kind stories|highlights (default stories).
+  Exit codes: 0 ok, 1 error, 2 usage error, 3 not found.`;
+
+/**
+ * An error with the exit code the CLI should end with
+ */
+class CliError extends Error {
+  constructor(message, exitCode = EXIT.ERROR) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+function usageError(message) {
+  return new CliError(`${message}\n\n${USAGE}`, EXIT.USAGE);
+}
+
+function requireArg(value, name) {
+  if (!value) throw usageError(`Missing ${name}`);
+  return value.replace(/^@/, '');
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// ---------------------------------------------------------------------------
+// session
+// ---------------------------------------------------------------------------
+
+/**
+ * Accounts to act on: the given one, else every configured account and every account with a session or profile
+ */
+async function sessionAccounts(account) {
+  if (account) return [account.replace(/^@/, '')];
+
+  const names = new Set(config.igAccounts.map(a => a.username));
+  const sessionFiles = await fs.readdir(config.sessionDir).catch(() => []);
+  sessionFiles
+    .filter(f => f.endsWith('.json') && f !== path.basename(config.accountPool.stateFile))
+    .forEach(f => names.add(f.slice(0, -'.json'.length)));
+  const profiles = await fs.readdir(config.profileDir, { withFileTypes: true }).catch(() => []);
+  profiles.filter(e => e.isDirectory()).forEach(e => names.add(e.name));
+  return [...names];
+}
+
+const sessionCommands = {
+  async status({ positionals }) {
+    const pool = await new AccountPool().load();
+    const accounts = await sessionAccounts(positionals[0]);
+    const sessions = [];
+
+    for (const username of accounts) {
+      const manager = new SessionManager(username);
+      const status = await manager.getSessionStatus();
+      const profile = await manager.inspectProfile();
+      sessions.push({
+        ...status,
+        configured: config.igAccounts.some(a => a.username === username),
+        health: pool.health(username),
+        profile: profile.exists ? profile : null,
+      });
+    }
+
+    return {
+      data: { session_mode: config.sessionMode, sessions },
+      text: sessions.length === 0
+        ? ['No accounts configured and no sessions found']
+        : sessions.map((s) => {
+          const session = !s.exists
+            ? 'no session'
+            : `${s.valid ? 'valid' : `invalid (${s.reason})`}${s.encrypted ? ', encrypted' : ''}` +
+              `${s.expires_at ? `, expires ${s.expires_at}` : ''}${s.saved_at ? `, saved ${s.saved_at}` : ''}`;
+          const profile = s.profile ? `\n    profile: ${s.profile.path} (${formatBytes(s.profile.size_bytes)}${s.profile.locked ? ', in use' : ''})` : '';
+          const health = `${s.health.status}${s.health.until ? ` until ${s.health.until}` : ''}`;
+          return `@${s.username}${s.configured ? '' : ' (not configured)'}: ${session} [${health}]${profile}`;
+        }),
+      exitCode: positionals[0] && !sessions[0].exists && !sessions[0].profile ? EXIT.NOT_FOUND : EXIT.OK,
+    };
+  },
+
+  async clear({ positionals, values }) {
+    const accounts = await sessionAccounts(positionals[0]);
+    const cleared = [];
+    const failed = [];
+
+    for (const username of accounts) {
+      const manager = new SessionManager(username);
+      try {
+        if (values.profile) {
+          const { reset, backup } = await manager.resetProfile();
+          if (reset) cleared.push({ username, backup });
+        } else if (await manager.hasSession()) {
+          await fs.unlink(manager.sessionFile);
+          cleared.push({ username, file: manager.sessionFile });
+        }
+      } catch (error) {
+        failed.push({ username, error: error.message });
+      }
+    }
+
+    // The single-account session file of older versions
+    if (!values.profile && !positionals[0]) {
+      const removed = await fs.unlink(config.sessionFile).then(() => true, () => false);
+      if (removed) cleared.push({ username: null, file: config.sessionFile });
+    }
+
+    const what = values.profile ? 'profile' : 'session';
+    return {
+      data: { cleared, failed },
+      text: [
+        ...cleared.map(c => `✓ Cleared ${what}${c.username ? ` of @${c.username}` : ` ${c.file}`}${c.backup ? ` (backup: ${c.backup})` : ''}`),
+        ...failed.map(f => `❌ @${f.username}: ${f.error}`),
+        cleared.length === 0 && failed.length === 0 ? `⚠ No ${what} found` : 'The next run will log in again',
+      ],
+      exitCode: failed.length > 0 ? EXIT.ERROR : cleared.length === 0 ? EXIT.NOT_FOUND : EXIT.OK,
+    };
+  },
+
+  async export({ positionals, values }) {
+    const username = requireArg(positionals[0], 'account');
+    const session = await new SessionManager(username).readSession();
+    if (!session) throw new CliError(`No session for @${username}`, EXIT.NOT_FOUND);
+
+    if (values.out) {
+      await fs.writeFile(values.out, JSON.stringify(session, null, 2), { mode: 0o600 });
+      return {
+        data: { username, file: values.out },
+        text: [`✓ Session of @${username} exported to ${values.out} (unencrypted: keep it private)`],
+      };
+    }
+    // Without --out the session itself is the output, as JSON in both modes
+    return { data: session, text: [JSON.stringify(session, null, 2)] };
+  },
+
+  async import({ positionals, values }) {
+    const username = requireArg(positionals[0], 'account');
+    const file = requireArg(positionals[1], 'session file');
+
+    let session;
+    try {
+      session = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      throw new CliError(`Cannot read ${file}: ${error.message}`, error.code === 'ENOENT' ? EXIT.NOT_FOUND : EXIT.ERROR);
+    }
+    if (isEncryptedEnvelope(session)) {
+      const secret = await loadSessionSecret();
+      if (!secret) throw new CliError(`${file} is encrypted: set SESSION_ENCRYPTION_KEY or SESSION_KEY_FILE`);
+      session = decryptJson(session, secret, file);
+    }
+    if (!Array.isArray(session.cookies)) {
+      throw new CliError(`${file} is not a session export (no cookies array)`);
+    }
+
+    const manager = new SessionManager(username);
+    const validity = manager.getSessionValidity(session);
+    if (!validity.valid && !values.force) {
+      throw new CliError(`Session in ${file} is not valid (${validity.reason}), use --force to import it anyway`);
+    }
+
+    await manager.writeSession({ localStorage: {}, ...session, savedAt: session.savedAt || new Date().toISOString() });
+    return {
+      data: { username, file: manager.sessionFile, valid: validity.valid, expires_at: validity.expiresAt },
+      text: [`✓ Session imported for @${username}${validity.expiresAt ? ` (expires ${validity.expiresAt})` : ''}`],
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// tracker
+// ---------------------------------------------------------------------------
+
+function trackerKind(values) {
+  const kind = values.kind || 'stories';
+  if (!['stories', 'highlights'].includes(kind)) throw usageError(`Invalid --kind "${kind}"`);
+  return kind;
+}
+
+/**
+ * Extract IDs from an import file: an array of IDs, a tracker file or a stories_*.json output file
+ */
+function idsFromImport(data) {
+  if (Array.isArray(data)) return data.map(String);
+  if (data?.entries && typeof data.entries === 'object') return Object.keys(data.entries);
+  if (Array.isArray(data?.processed_ids)) return data.processed_ids.map(String);
+  if (Array.isArray(data?.stories)) return data.stories.map(s => s.ig_pk || s.media_url).filter(Boolean).map(String);
+  return null;
+}
+
+const trackerCommands = {
+  async stats({ positionals }) {
+    const username = positionals[0]?.replace(/^@/, '');
+    const trackers = (await listTrackers()).filter(t => !username || t.username === username);
+    const stats = [];
+    for (const { username: name, kind } of trackers) {
+      stats.push({ kind, ...await new StoryTracker(name, kind).getStats() });
+    }
+
+    return {
+      data: { trackers: stats },
+      text: stats.length === 0
+        ? ['⚠ No trackers found']
+        : stats.map(s => `@${s.username} [${s.kind}]: ${s.total_processed} processed` +
+          (s.oldest_first_seen ? `, first seen ${s.oldest_first_seen} - ${s.newest_first_seen}` : '') +
+          `, kept ${s.retention_hours ? `${s.retention_hours}h` : 'forever'}, last updated ${s.last_updated || 'never'}`),
+      exitCode: stats.length === 0 ? EXIT.NOT_FOUND : EXIT.OK,
+    };
+  },
+
+  async list({ positionals, values }) {
+    const username = requireArg(positionals[0], 'username');
+    const kind = trackerKind(values);
+    const entries = await new StoryTracker(username, kind).getEntries();
+
+    return {
+      data: { username, kind, entries },
+      text: entries.length === 0 ? [`⚠ No processed IDs for @${username} [${kind}]`] : entries.map(e => `${e.id}  ${e.first_seen}`),
+      exitCode: entries.length === 0 ? EXIT.NOT_FOUND : EXIT.OK,
+    };
+  },
+
+  async clear({ positionals, values }) {
+    const username = requireArg(positionals[0], 'username');
+    const kind = trackerKind(values);
+    const tracker = new StoryTracker(username, kind);
+    const { total_processed: removed } = await tracker.getStats();
+    await tracker.clear();
+
+    return {
+      data: { username, kind, removed },
+      text: [`✓ Tracker @${username} [${kind}] cleared (${removed} IDs)`],
+    };
+  },
+
+  async prune({ positionals, values }) {
+    const username = requireArg(positionals[0], 'username');
+    const kind = trackerKind(values);
+    const keep = Number(values.keep);
+    if (values.keep === undefined || !Number.isInteger(keep) || keep < 0) {
+      throw usageError('--keep must be a number of IDs (0 or more)');
+    }
+
+    const removed = await new StoryTracker(username, kind).prune(keep);
+    return {
+      data: { username, kind, removed, kept: keep },
+      text: [`✓ Tracker @${username} [${kind}]: ${removed} IDs removed`],
+    };
+  },
+
+  async import({ positionals, values }) {
+    const username = requireArg(positionals[0], 'username');
+    const file = requireArg(positionals[1], 'file');
+    const kind = trackerKind(values);
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      throw new CliError(`Cannot read ${file}: ${error.message}`, error.code === 'ENOENT' ? EXIT.NOT_FOUND : EXIT.ERROR);
+    }
+    const ids = idsFromImport(data);
+    if (!ids) throw new CliError(`${file} has no IDs (expected an array, a tracker file or a stories output file)`);
+
+    const tracker = await new StoryTracker(username, kind).addStoryIds(ids);
+    const total = Object.keys(tracker.entries).length;
+    return {
+      data: { username, kind, imported: ids.length, total_processed: total },
+      text: [`✓ ${ids.length} IDs imported into @${username} [${kind}] (total: ${total})`],
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// media
+// ---------------------------------------------------------------------------
+
+/**
+ * Downloaded media IDs still in use: by the stories_*.json output files in the working directory, the story archive,
+ * outbox payloads not delivered yet and files the media index shares between duplicate stories
+ * (an index entry of its own is only a hash, forgotten once the file is gone)
+ * Returns id -> referrers (file names, "archive", "outbox <id>", "media index")
+ * and the IDs no age-based cleanup may delete (everything but output files, which are snapshots of past runs)
+ */
+async function mediaReferences() {
+  const references = new Map();
+  const kept = new Set();
+  const addReference = (id, referrer, keep = true) => {
+    if (!id) return;
+    if (!references.has(id)) references.set(id, []);
+    references.get(id).push(referrer);
+    if (keep) kept.add(id);
+  };
+
+  const files = (await fs.readdir(process.cwd()).catch(() => [])).filter(f => /^stories_.+\.json$/.test(f));
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch {
+      continue;
+    }
+    for (const story of data.stories || []) {
+      addReference(story.local_video_id, file, false);
+      addReference(story.local_image_id, file, false);
+    }
+  }
+
+  for (const [id, stories] of getArchive()?.mediaReferences() || []) {
+    addReference(id, `archive (${stories} stories)`);
+  }
+
+  for (const entry of await new Outbox().list()) {
+    for (const story of entry.payload?.stories || []) {
+      addReference(story.local_video_id, `outbox ${entry.id}`);
+      addReference(story.local_image_id, `outbox ${entry.id}`);
+    }
+  }
+
+  for (const [id, duplicates] of await new MediaIndex().references()) {
+    if (duplicates.length > 0) addReference(id, `media index (${duplicates.length} duplicates)`);
+  }
+  return { references, kept };
+}
+
+/**
+ * Every downloaded story, oldest first
+ */
+async function listMedia(type = null) {
+  const { references, kept } = await mediaReferences();
+  const sources = [
+    { type: 'video', ids: await getAllVideoIds(), pathOf: getVideoPath },
+    { type: 'image', ids: await getAllImageIds(), pathOf: getImagePath },
+  ].filter(source => !type || source.type === type);
+
+  const media = [];
+  for (const { type: mediaType, ids, pathOf } of sources) {
+    for (const id of ids) {
+      const stats = await fs.stat(pathOf(id)).catch(() => null);
+      if (!stats) continue;
+      media.push({
+        id,
+        type: mediaType,
+        path: pathOf(id),
+        size_bytes: stats.size,
+        modified_at: stats.mtime.toISOString(),
+        referenced_by: references.get(id) || [],
+        kept: kept.has(id),
+      });
+    }
+  }
+  return media.sort((a, b) => a.modified_at.localeCompare(b.modified_at));
+}
+
+async function deleteMedia(item) {
+  return item.type === 'video' ? deleteVideo(item.id) : deleteImage(item.id);
+}
+
+const mediaCommands = {
+  async list({ values }) {
+    if (values.type && !['video', 'image'].includes(values.type)) throw usageError(`Invalid --type "${values.type}"`);
+    const media = await listMedia(values.type);
+    const totalBytes = media.reduce((sum, m) => sum + m.size_bytes, 0);
+
+    return {
+      data: { media, count: media.length, total_bytes: totalBytes },
+      text: [
+        ...media.map(m => `${m.type} ${m.id}  ${formatBytes(m.size_bytes)}  ${m.modified_at}${m.referenced_by.length ? `  ← ${m.referenced_by.join(', ')}` : '  (orphan)'}`),
+        `${media.length} files, ${formatBytes(totalBytes)}`,
+      ],
+    };
+  },
+
+  async delete({ positionals, values }) {
+    if (positionals.length === 0) throw usageError('Missing media id');
+    const media = await listMedia();
+    const references = await new MediaIndex().references();
+    const deleted = [];
+    const missing = [];
+    const shared = [];
+
+    for (const id of positionals) {
+      const item = media.find(m => m.id === id);
+      if (item && references.get(id)?.length > 0 && !values.force) {
+        shared.push(id);
+      } else if (item && await deleteMedia(item)) {
+        deleted.push(id);
+      } else {
+        missing.push(id);
+      }
+    }
+
+    return {
+      data: { deleted, missing, shared },
+      text: [
+        ...deleted.map(id => `✓ Deleted ${id}`),
+        ...missing.map(id => `⚠ Not found: ${id}`),
+        ...shared.map(id => `⚠ Kept ${id}: shared by ${references.get(id).length} duplicate stories (--force to delete)`),
+      ],
+      exitCode: missing.length > 0 ? EXIT.NOT_FOUND : shared.length > 0 ? EXIT.ERROR : EXIT.OK,
+    };
+  },
+
+  async gc({ values }) {
+    const olderThanDays = values['older-than'] === undefined ? null : Number(values['older-than']);
+    if (olderThanDays !== null && !(olderThanDays >= 0)) throw usageError('--older-than must be a number of days');
+    const dryRun = Boolean(values['dry-run']);
+
+    const temp = await cleanTempMedia(TEMP_MEDIA_MIN_AGE, { dryRun });
+
+    const cutoff = olderThanDays === null ? null : Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    // Files the archive, the outbox or duplicate stories point to are never collected, whatever their age
+    const expired = (await listMedia()).filter(m => !m.kept && (
+      (cutoff !== null && new Date(m.modified_at).getTime() < cutoff) ||
+      (values.orphans && m.referenced_by.length === 0)));
+
+    if (!dryRun) {
+      for (const item of expired) {
+        await deleteMedia(item);
+      }
+    }
+
+    const freed = [...temp, ...expired].reduce((sum, m) => sum + m.size_bytes, 0);
+    return {
+      data: { dry_run: dryRun, temp_files: temp, media: expired, freed_bytes: freed },
+      text: [
+        ...expired.map(m => `${dryRun ? 'Would delete' : '✓ Deleted'} ${m.type} ${m.id} (${formatBytes(m.size_bytes)})`),
+        `${dryRun ? 'Would free' : 'Freed'} ${formatBytes(freed)}: ${expired.length} media, ${temp.length} temp files`,
+      ],
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// archive
+// ---------------------------------------------------------------------------
+
+function openArchive() {
+  const archive = getArchive();
+  if (!archive) throw new CliError('The story archive is disabled (ARCHIVE_ENABLED=false)');
+  return archive;
+}
+
+function parseDate(value, option) {
+  if (value === undefined) return undefined;
+  if (Number.isNaN(new Date(value).getTime())) throw usageError(`Invalid ${option} "${value}" (expected a date, e.g. 2025-01-31)`);
+  return value;
+}
+
+const archiveCommands = {
+  async query({ values }) {
+    if (values.type && !['video', 'image'].includes(values.type)) throw usageError(`Invalid --type "${values.type}"`);
+    if (values.status && !Object.values(DeliveryStatus).includes(values.status)) throw usageError(`Invalid --status "${values.status}"`);
+    if (values['has-link'] && values['no-link']) throw usageError('--has-link and --no-link are exclusive');
+    const limit = values.limit === undefined ? 100 : Number(values.limit);
+    if (!Number.isInteger(limit) || limit <= 0) throw usageError('--limit must be a positive number');
+
+    const stories = openArchive().query({
+      username: values.username?.replace(/^@/, ''),
+      kind: values.kind,
+      type: values.type,
+      hasLink: values['has-link'] ? true : values['no-link'] ? false : undefined,
+      since: parseDate(values.since, '--since'),
+      until: parseDate(values.until, '--until'),
+      deliveryStatus: values.status,
+      runId: values.run,
+      limit,
+    });
+
+    return {
+      data: { stories, count: stories.length },
+      text: stories.length === 0
+        ? ['⚠ No archived stories match']
+        : stories.map(s => `${s.taken_at || s.first_seen_at}  @${s.username} [${s.kind}] ${s.media_type} ${s.ig_pk || s.story_key}` +
+          `  ${s.delivery_status}${s.story_link ? `  🔗 ${s.story_link}` : ''}${s.local_media_path ? `\n    ${s.local_media_path}` : ''}`),
+      exitCode: stories.length === 0 ? EXIT.NOT_FOUND : EXIT.OK,
+    };
+  },
+
+  async stats() {
+    const stats = openArchive().stats();
+    return {
+      data: { file: config.archive.file, targets: stats },
+      text: stats.length === 0
+        ? ['⚠ The archive is empty']
+        : stats.map(s => `@${s.username} [${s.kind}]: ${s.stories} stories, ${s.with_links} with links, ` +
+          `${s.delivered} delivered, ${s.failed} failed (${s.first_seen} - ${s.last_seen})`),
+      exitCode: stats.length === 0 ? EXIT.NOT_FOUND : EXIT.OK,
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// outbox
+// ---------------------------------------------------------------------------
+
+function describeEntry(entry) {
+  if (entry.status === 'corrupt') return `${entry.id}  corrupt (${entry.last_error})`;
+  const next = entry.status === OutboxStatus.DEAD ? 'replay only' : `next ${entry.next_attempt_at}`;
+  return `${entry.id}  ${entry.endpoint} [${entry.status}] ${entry.stories.length} stories, ${entry.attempts} attempts, ${next}` +
+    `${entry.last_error ? `\n    ${entry.last_status ? `HTTP ${entry.last_status}: ` : ''}${entry.last_error}` : ''}`;
+}
+
+function flushResult(result) {
+  const ids = entries => entries.map(entry => entry.id);
+  const data = { delivered: ids(result.delivered), failed: ids(result.failed), dead: ids(result.dead), busy: result.busy };
+  const text = result.busy
+    ? ['⚠ Another process is delivering the outbox, try again later']
+    : [`✓ ${data.delivered.length} delivered, ${data.failed.length} failed, ${data.dead.length} dead`];
+  const exitCode = result.busy || data.failed.length > 0 || data.dead.length > 0 ? EXIT.ERROR : EXIT.OK;
+  return { data, text, exitCode };
+}
+
+function requireApi() {
+  if (!config.laravelApiUrl || !config.laravelApiKey) {
+    throw new CliError('The Laravel API is not configured (LARAVEL_API_URL, LARAVEL_API_KEY)');
+  }
+}
+
+const outboxCommands = {
+  async list() {
+    const entries = await new Outbox().list();
+    return {
+      data: { dir: config.outbox.dir, entries: entries.map(({ payload, ...entry }) => entry), count: entries.length },
+      text: entries.length === 0 ? ['✓ The outbox is empty'] : entries.map(describeEntry),
+    };
+  },
+
+  async show({ positionals }) {
+    const id = requireArg(positionals[0], 'outbox entry id');
+    const entry = await new Outbox().get(id);
+    if (!entry) throw new CliError(`No outbox entry ${id}`, EXIT.NOT_FOUND);
+    return { data: entry, text: [JSON.stringify(entry, null, 2)] };
+  },
+
+  async flush() {
+    requireApi();
+    return flushResult(await new Outbox().flush());
+  },
+
+  async replay({ positionals }) {
+    requireApi();
+    const outbox = new Outbox();
+    for (const id of positionals) {
+      if (!(await outbox.get(id))) throw new CliError(`No outbox entry ${id}`, EXIT.NOT_FOUND);
+    }
+    return flushResult(await outbox.flush({ ids: positionals.length > 0 ? positionals : null, force: true }));
+  },
+
+  async drop({ positionals }) {
+    if (positionals.length === 0) throw usageError('Missing outbox entry id');
+    const outbox = new Outbox();
+    const dropped = [];
+    const missing = [];
+    for (const id of positionals) {
+      (await outbox.remove(id) ? dropped : missing).push(id);
+    }
+    return {
+      data: { dropped, missing },
+      text: [
+        ...dropped.map(id => `🗑 Dropped ${id}`),
+        ...missing.map(id => `⚠ No outbox entry ${id}`),
+      ],
+      exitCode: missing.length > 0 ? EXIT.NOT_FOUND : EXIT.OK,
+    };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// run
+// ---------------------------------------------------------------------------
+
+/**
+ * Run index.js for the given targets; the exit code is the scraper's
+ * With --json the scraper log goes to stderr and the run summary is printed
+ */
+async function runCommand({ values, json }) {
+  const targets = (values.target || []).flatMap(t => t.split(',')).map(t => t.trim().replace(/^@/, '')).filter(Boolean);
+  if (targets.length === 0) throw usageError('Missing --target');
+  if (values.mode && !['stories', 'highlights', 'all'].includes(values.mode)) throw usageError(`Invalid --mode "${values.mode}"`);
+
+  const env = { ...process.env, IG_TARGET_USERNAMES: targets.join(',') };
+  if (values.mode) env.IG_SCRAPE_MODE = values.mode;
+
+  const startedAt = Date.now();
+  const exitCode = await new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(path.dirname(fileURLToPath(import.meta.url)), 'index.js')], {
+      env,
+      stdio: ['inherit', json ? process.stderr : 'inherit', 'inherit'],
+    });
+    child.on('error', reject);
+    child.on('close', code => resolve(code ?? EXIT.ERROR));
+  });
+
+  // The run summary written by this run, if it got that far
+  const summaries = (await fs.readdir(process.cwd()).catch(() => [])).filter(f => /^run_summary_.+\.json$/.test(f)).sort();
+  const latest = summaries[summaries.length - 1];
+  let summary = null;
+  if (latest && (await fs.stat(latest)).mtimeMs >= startedAt) {
+    summary = JSON.parse(await fs.readFile(latest, 'utf-8'));
+  }
+
+  return {
+    data: { exit_code: exitCode, targets, summary_file: summary ? latest : null, summary },
+    text: summary ? [`Run summary: ${latest}`] : [],
+    exitCode,
+  };
+}
+
+// ---------------------------------------------------------------------------
+
+const COMMANDS = {
+  session: sessionCommands,
+  tracker: trackerCommands,
+  media: mediaCommands,
+  archive: archiveCommands,
+  outbox: outboxCommands,
+};
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+        out: { type: 'string' },
+        force: { type: 'boolean' },
+        profile: { type: 'boolean' },
+        kind: { type: 'string' },
+        keep: { type: 'string' },
+        type: { type: 'string' },
+        'older-than': { type: 'string' },
+        orphans: { type: 'boolean' },
+        'dry-run': { type: 'boolean' },
+        target: { type: 'string', multiple: true },
+        mode: { type: 'string' },
+        username: { type: 'string' },
+        'has-link': { type: 'boolean' },
+        'no-link': { type: 'boolean' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        status: { type: 'string' },
+        run: { type: 'string' },
+        limit: { type: 'string' },
+      },
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  const { values, positionals } = args;
+  const json = Boolean(values.json);
+  if (json) setLogToStderr();
+
+  const [command, action, ...rest] = positionals;
+
+  try {
+    if (!command || command === 'help' || values.help) {
+      console.log(USAGE);
+      return command || values.help ? EXIT.OK : EXIT.USAGE;
+    }
+
+    let handler;
+    if (command === 'run') {
+      handler = () => runCommand({ values, json });
+    } else if (!COMMANDS[command]) {
+      throw usageError(`Unknown command "${command}"`);
+    } else if (!Object.hasOwn(COMMANDS[command], action || '')) {
+      throw usageError(action ? `Unknown action "${command} ${action}"` : `Missing action for "${command}"`);
+    } else {
+      handler = () => COMMANDS[command][action]({ positionals: rest, values, json });
+    }
+
+    const result = await handler();
+    if (json) {
+      console.log(JSON.stringify(result.data, null, 2));
+    } else {
+      result.text.forEach(line => console.log(line));
+    }
+    return result.exitCode ?? EXIT.OK;
+  } catch (error) {
+    const exitCode = error instanceof CliError ? error.exitCode : error instanceof InvalidOutboxIdError ? EXIT.USAGE : EXIT.ERROR;
+    if (json) {
+      console.log(JSON.stringify({ error: error.message.split('\n')[0], exit_code: exitCode }, null, 2));
+    } else {
+      console.error(`❌ ${error.message}`);
+    }
+    return exitCode;
+  }
+}
+
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -1,14 +1,76 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
 import path from 'path';
+import { decodeBase32 } from '../utils/totp.js';
 
 // Load .env from parent directory
 dotenv.config();
 
+/**
+ * Parse a comma/whitespace separated list of usernames (leading @ allowed)
+ */
+function parseUsernames(value) {
+  if (!value) return [];
+  const usernames = value
+    .split(/[\s,;]+/)
+    .map(name => name.trim().replace(/^@/, ''))
+    .filter(Boolean);
+  return [...new Set(usernames)];
+}
+
+// IG_TARGET_USERNAMES takes precedence, IG_TARGET_USERNAME is kept for single-target setups
+const targetUsernames = parseUsernames(process.env.IG_TARGET_USERNAMES || process.env.IG_TARGET_USERNAME);
+
+/**
+ * Scraping accounts: IG_ACCOUNTS_FILE (JSON array of { username, password, totp_secret }),
+ * otherwise the single IG_USERNAME / IG_PASSWORD / IG_TOTP_SECRET account
+ * A file that can't be read is reported by validateConfig()
+ */
+function loadAccounts() {
+  const file = process.env.IG_ACCOUNTS_FILE;
+  if (!file) {
+    return {
+      accounts: process.env.IG_USERNAME ? [{
+        username: process.env.IG_USERNAME,
+        password: process.env.IG_PASSWORD,
+        totpSecret: process.env.IG_TOTP_SECRET || null,
+      }] : [],
+      error: null,
+    };
+  }
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+    if (!Array.isArray(entries)) throw new Error('expected a JSON array of accounts');
+    return {
+      accounts: entries.map(entry => ({
+        username: String(entry.username || '').replace(/^@/, ''),
+        password: entry.password,
+        totpSecret: entry.totp_secret || null,
+      })),
+      error: null,
+    };
+  } catch (error) {
+    return { accounts: [], error: `Cannot load IG_ACCOUNTS_FILE ${file}: ${error.message}` };
+  }
+}
+
+const accounts = loadAccounts();
+
+// Typical time spent on each story (ms), the randomized view time is centred on it
+const storyViewDuration = parseInt(process.env.STORY_VIEW_DURATION || '3000', 10);
+
 export const config = {
-  // Instagram Credentials
-  igUsername: process.env.IG_USERNAME,
-  igPassword: process.env.IG_PASSWORD,
-  igTargetUsername: process.env.IG_TARGET_USERNAME,
+  // Instagram Credentials (igUsername/igPassword are the first scraping account)
+  igAccounts: accounts.accounts,
+  igAccountsError: accounts.error,
+  igUsername: accounts.accounts[0]?.username,
+  igPassword: accounts.accounts[0]?.password,
+  igTargetUsernames: targetUsernames,
+  igTargetUsername: targetUsernames[0],
+
+  // What to scrape per target: 'stories' (24h stories), 'highlights' or 'all'
+  scrapeMode: process.env.IG_SCRAPE_MODE || 'stories',
 
   // Laravel API Configuration
   laravelApiUrl: process.env.LARAVEL_API_URL,
@@ -17,12 +79,86 @@ export const config = {
   // Proxy Configuration
   proxyUrl: process.env.PROXY_URL,
 
+  // Interactive runs can wait for ENTER on manual steps; cron runs (no TTY) can't
+  interactive: process.env.INTERACTIVE ? process.env.INTERACTIVE === 'true' : Boolean(process.stdin.isTTY),
+
+  // How long an unattended run waits for a verification to be completed elsewhere (ms)
+  challengeTimeout: parseInt(process.env.IG_CHALLENGE_TIMEOUT || '300000', 10),
+
   // Force Manual Login
   forceManualLogin: process.env.FORCE_MANUAL_LOGIN === 'true',
 
-  // Session File
+  // Session files, one per scraping account (sessions/<username>.json)
+  sessionDir: path.join(process.cwd(), 'sessions'),
+  // Single-account session file of older versions, moved to sessionDir on first use
   sessionFile: path.join(process.cwd(), 'ig-session.json'),
 
+  // Where sessions live: 'cookies' (session files above) or 'profile' (persistent Chromium profile per account)
+  sessionMode: process.env.IG_SESSION_MODE || 'cookies',
+  profileDir: process.env.IG_PROFILE_DIR || path.join(process.cwd(), 'profiles'),
+  profileBackupDir: path.join(process.cwd(), 'profile-backups'),
+
+  // Session encryption at rest (AES-256-GCM): a 32-byte key (hex:... or base64:...) or a passphrase, inline or in a file
+  sessionEncryptionKey: process.env.SESSION_ENCRYPTION_KEY || null,
+  sessionKeyFile: process.env.SESSION_KEY_FILE || null,
+
+  // Health of the scraping accounts and how long a failing account is set aside (ms)
+  accountPool: {
+    stateFile: path.join(process.cwd(), 'sessions', 'pool-state.json'),
+    rateLimitCooldown: parseInt(process.env.ACCOUNT_RATE_LIMIT_COOLDOWN || String(2 * 60 * 60 * 1000), 10),
+    challengeCooldown: parseInt(process.env.ACCOUNT_CHALLENGE_COOLDOWN || String(24 * 60 * 60 * 1000), 10),
+    loginFailureCooldown: parseInt(process.env.ACCOUNT_LOGIN_FAILURE_COOLDOWN || String(30 * 60 * 1000), 10),
+  },
+
+  // Story trackers: a processed ID is forgotten this many hours after it was first seen (0 = never)
+  // Stories expire after 24h, highlight items stay up, so highlight IDs are kept by default
+  tracker: {
+    // Where processed IDs live: 'json' (story_tracker/<kind>_<username>.json) or 'archive' (the SQLite archive)
+    backend: process.env.TRACKER_BACKEND || 'json',
+    dir: path.join(process.cwd(), 'story_tracker'),
+    retentionHours: {
+      stories: parseFloat(process.env.TRACKER_RETENTION_HOURS || '72'),
+      highlights: parseFloat(process.env.HIGHLIGHT_TRACKER_RETENTION_HOURS || '0'),
+    },
+    // How long an update waits for another run holding the tracker's lock (ms)
+    lockTimeout: parseInt(process.env.TRACKER_LOCK_TIMEOUT || '10000', 10),
+  },
+
+  // Local SQLite archive of every new story with its media files, run and delivery status
+  archive: {
+    enabled: process.env.ARCHIVE_ENABLED !== 'false',
+    file: process.env.ARCHIVE_DB || path.join(process.cwd(), 'archive', 'stories.sqlite'),
+  },
+
+  // Content-hash deduplication of downloaded media (reposts, stories reshared across targets)
+  mediaDedup: {
+    // 'flag' sends duplicates with `duplicate_of`, 'skip' leaves them out of the API payload, 'off' disables hashing
+    mode: process.env.MEDIA_DEDUP || 'flag',
+    indexFile: process.env.MEDIA_INDEX_FILE || path.join(process.cwd(), 'media_index', 'hashes.json'),
+    // Max Hamming distance between two 64-bit perceptual hashes of the same picture (re-encodes, resizes)
+    phashThreshold: parseInt(process.env.MEDIA_PHASH_THRESHOLD || '6', 10),
+    // Hashes older than this are forgotten (days, 0 = never)
+    retentionDays: parseFloat(process.env.MEDIA_INDEX_RETENTION_DAYS || '30'),
+  },
+
+  // Durable outbox of Laravel API payloads, retried until the API accepts them
+  outbox: {
+    dir: process.env.OUTBOX_DIR || path.join(process.cwd(), 'outbox'),
+    retryBaseDelay: parseInt(process.env.OUTBOX_RETRY_DELAY || String(60 * 1000), 10),
+    retryMaxDelay: 6 * 60 * 60 * 1000,
+    // Attempts before a payload is set aside for manual replay (0 = retry forever)
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '0', 10),
+    // How often the media server delivers pending payloads (ms, 0 = never)
+    flushInterval: parseInt(process.env.OUTBOX_FLUSH_INTERVAL || String(5 * 60 * 1000), 10),
+  },
+
+  // Offline record/replay: 'record' saves the traffic and DOM states of a run, 'replay' serves them instead of Instagram
+  replayMode: process.env.IG_REPLAY_MODE || null,
+  replayDir: process.env.IG_REPLAY_DIR || path.join(process.cwd(), 'recordings', 'latest'),
+
+  // Headless browser (always headless when replaying)
+  headless: process.env.HEADLESS === 'true' || process.env.IG_REPLAY_MODE === 'replay',
+
   // Formspree for notifications
   formspreeUrl: process.env.FORMSPREE_URL || 'https://formspree.io/f/xpwyejve',
 
@@ -34,23 +170,147 @@ export const config = {
   storyLoadTimeout: 30000,
   navigationTimeout: 30000,
 
-  // Retry settings
-  maxRetries: 3,
-  retryDelay: 2000,
+  // Retry settings (defaults for every operation): retries after the first attempt,
+  // base delay of the exponential backoff and its cap
+  maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10),
+  retryDelay: parseInt(process.env.RETRY_DELAY || '2000', 10),
+  retryMaxDelay: 30000,
+
+  // Per-operation overrides of the retry settings (see utils/retry.js)
+  retryPolicies: {
+    navigation: { maxRetries: 2 },
+    download: { retryDelay: 1000 },
+    // ffmpeg failures are mostly deterministic: retry once for transient I/O errors
+    ffmpeg: { maxRetries: 1, retryDelay: 1000, shouldRetry: error => !/spawn error/.test(error.message) },
+    api: { retryDelay: 3000 },
+    notification: { maxRetries: 2 },
+  },
+
+  // Browser user agent, also sent by the media downloads made from Node
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+
+  // Media downloads streamed to disk: largest accepted file and how long a download may go without data (ms)
+  download: {
+    maxBytes: parseInt(process.env.MEDIA_MAX_BYTES || String(512 * 1024 * 1024), 10),
+    stallTimeout: parseInt(process.env.DOWNLOAD_STALL_TIMEOUT || '30000', 10),
+  },
+
+  // Media jobs downloading and merging in the background while the story walker moves on
+  mediaConcurrency: parseInt(process.env.MEDIA_CONCURRENCY || '2', 10),
+
+  // Highest video quality to download, as the short side in pixels (e.g. 720 for 720p); 0 = best available
+  videoQualityCap: parseInt(process.env.VIDEO_MAX_QUALITY || '0', 10),
+
+  // Failure artifacts (screenshot, HTML, Playwright trace), one directory per run
+  artifacts: {
+    dir: path.join(process.cwd(), 'artifacts'),
+    trace: process.env.ARTIFACTS_TRACE !== 'false',
+    // Retention: most recent runs kept, and maximum age (0 disables either limit)
+    maxRuns: parseInt(process.env.ARTIFACTS_MAX_RUNS || '20', 10),
+    maxAgeDays: parseInt(process.env.ARTIFACTS_MAX_AGE_DAYS || '14', 10),
+  },
 
   // Story viewing duration (ms) - how long to view each story
-  storyViewDuration: 3000,
+  storyViewDuration,
+
+  // Human-like pacing (see services/pacer.js)
+  pacing: {
+    // Randomized waits: { min, max, mode } in ms, sampled from a triangular distribution
+    delays: {
+      pageLoad: { min: 1500, max: 4000, mode: 2200 },
+      typing: { min: 300, max: 1200, mode: 600 },
+      submit: { min: 2500, max: 5000, mode: 3200 },
+      modal: { min: 800, max: 2200, mode: 1200 },
+      storyView: { min: storyViewDuration * 0.6, max: storyViewDuration * 1.8, mode: storyViewDuration },
+      nextStory: { min: 400, max: 1400, mode: 700 },
+      poll: { min: 400, max: 700 },
+    },
+    // Multiplier applied to every wait (e.g. 0.5 to halve them)
+    scale: parseFloat(process.env.PACING_SCALE || '1'),
+    // Navigations, clicks and key presses allowed per hour for the scraping account (0 = unlimited)
+    actionsPerHour: parseInt(process.env.IG_ACTIONS_PER_HOUR || (process.env.IG_REPLAY_MODE === 'replay' ? '0' : '300'), 10),
+    // What to do when the budget is exhausted: 'pause' until it frees up, or 'abort' the run
+    onBudgetExhausted: process.env.IG_BUDGET_EXHAUSTED || 'pause',
+    // Longest pause allowed before aborting anyway (ms)
+    maxBudgetWait: parseInt(process.env.IG_BUDGET_MAX_WAIT || '600000', 10),
+    // Action history, persisted across runs
+    stateDir: path.join(process.cwd(), 'pacing'),
+  },
 };
 
 // Validate required config
 export function validateConfig() {
-  const required = ['igUsername', 'igPassword', 'igTargetUsername'];
-  const missing = required.filter(key => !config[key]);
+  if (config.igAccountsError) {
+    throw new Error(config.igAccountsError);
+  }
+
+  const missing = [];
+  if (config.igAccounts.length === 0) {
+    missing.push('IG_USERNAME and IG_PASSWORD (or IG_ACCOUNTS_FILE)');
+  }
+  config.igAccounts.forEach((account, i) => {
+    if (!account.username || !account.password) {
+      missing.push(`username/password of account ${i + 1}`);
+    }
+  });
+
+  if (config.igTargetUsernames.length === 0) {
+    missing.push('IG_TARGET_USERNAMES (or IG_TARGET_USERNAME)');
+  }
 
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
 
+  if (!['stories', 'highlights', 'all'].includes(config.scrapeMode)) {
+    throw new Error(`Invalid IG_SCRAPE_MODE "${config.scrapeMode}" (expected stories, highlights or all)`);
+  }
+
+  if (config.replayMode && !['record', 'replay'].includes(config.replayMode)) {
+    throw new Error(`Invalid IG_REPLAY_MODE "${config.replayMode}" (expected record or replay)`);
+  }
+
+  for (const account of config.igAccounts) {
+    if (!account.totpSecret) continue;
+    try {
+      decodeBase32(account.totpSecret);
+    } catch (error) {
+      throw new Error(`Invalid TOTP secret for @${account.username}: ${error.message}`);
+    }
+  }
+
+  if (!['cookies', 'profile'].includes(config.sessionMode)) {
+    throw new Error(`Invalid IG_SESSION_MODE "${config.sessionMode}" (expected cookies or profile)`);
+  }
+
+  if (!['json', 'archive'].includes(config.tracker.backend)) {
+    throw new Error(`Invalid TRACKER_BACKEND "${config.tracker.backend}" (expected json or archive)`);
+  }
+  if (config.tracker.backend === 'archive' && !config.archive.enabled) {
+    throw new Error('TRACKER_BACKEND=archive needs the story archive (ARCHIVE_ENABLED is false)');
+  }
+
+  for (const [kind, hours] of Object.entries(config.tracker.retentionHours)) {
+    if (!(hours >= 0)) {
+      throw new Error(`Invalid ${kind} tracker retention "${hours}" (expected a number of hours, 0 to keep forever)`);
+    }
+  }
+
+  if (!(config.mediaConcurrency >= 1)) {
+    throw new Error(`Invalid MEDIA_CONCURRENCY "${config.mediaConcurrency}" (expected 1 or more)`);
+  }
+
+  if (!['flag', 'skip', 'off'].includes(config.mediaDedup.mode)) {
+    throw new Error(`Invalid MEDIA_DEDUP "${config.mediaDedup.mode}" (expected flag, skip or off)`);
+  }
+  if (!(config.mediaDedup.phashThreshold >= 0 && config.mediaDedup.phashThreshold <= 64)) {
+    throw new Error(`Invalid MEDIA_PHASH_THRESHOLD "${config.mediaDedup.phashThreshold}" (expected 0 to 64)`);
+  }
+
+  if (!['pause', 'abort'].includes(config.pacing.onBudgetExhausted)) {
+    throw new Error(`Invalid IG_BUDGET_EXHAUSTED "${config.pacing.onBudgetExhausted}" (expected pause or abort)`);
+  }
+
   if (!config.laravelApiUrl || !config.laravelApiKey) {
     throw new Error('LARAVEL_API_URL and LARAVEL_API_KEY must be configured');
   }
@@ -4,7 +4,7 @@
  * Extracts stories from Instagram and sends to Laravel API
  */
 
-import { InstagramScraper } from './services/instagramScraper.js';
+import { InstagramScraper, VerificationRequiredError } from './services/instagramScraper.js';
 import { sendToApi, testApiConnection } from './utils/apiClient.js';
 import { sendErrorNotification, sendSuccessNotification } from './utils/notifications.js';
 import { log, getLogMessages } from './utils/logger.js';
@@ -13,6 +13,12 @@ import dotenv from 'dotenv';
 import { createInterface } from 'readline';
 import fs from 'fs/promises';
 import { StoryTracker } from './services/storyTracker.js';
+import { TargetStatus, statusFromError, shouldNotify, describeStatus } from './services/targetStatus.js';
+import { PacingBudgetError } from './services/pacer.js';
+import { AccountPool } from './services/accountPool.js';
+import { getArchive, DeliveryStatus, storyKey } from './services/storyArchive.js';
+import { Outbox } from './services/outbox.js';
+import { MediaIndex } from './services/mediaIndex.js';
 
 dotenv.config();
 
@@ -41,76 +47,173 @@ function waitForEnter() {
   });
 }
 
-async function main() {
-  log('=== Starting Instagram Stories Sync (Node.js) ===');
+// Target statuses caused by the scraping account: another account may still succeed
+const ROTATE_STATUSES = [TargetStatus.LOGIN_REQUIRED, TargetStatus.RATE_LIMITED, TargetStatus.BUDGET_EXHAUSTED];
 
-  // Validate configuration
-  try {
-    validateConfig();
-    log(`Target account: @${config.igTargetUsername}`);
-    log(`Laravel API: ${config.laravelApiUrl}`);
-  } catch (error) {
-    log(`❌ ${error.message}`);
-    process.exit(1);
-  }
+/**
+ * Log in with the scraper's account, rotating to the next healthy account of the pool when login fails
+ * Accounts in `tried` are not used again; returns false when no account could log in
+ */
+async function loginWithPool(scraper, pool, tried = new Set()) {
+  for (;;) {
+    if (tried.has(scraper.account.username)) {
+      const next = await pool.pick([...tried]);
+      if (!next) return false;
+      await scraper.switchAccount(next);
+    }
 
-  // Test API connection (only if URL is configured)
-  if (config.laravelApiUrl && config.laravelApiKey && !config.laravelApiUrl.includes('your-domain.com')) {
-    const apiConnected = await testApiConnection();
-    if (!apiConnected) {
-      log('⚠ Continuing without API connection test...');
+    const { username } = scraper.account;
+    tried.add(username);
+
+    try {
+      await scraper.login(waitForEnter);
+      await pool.markHealthy(username);
+      return true;
+    } catch (error) {
+      const status = error instanceof VerificationRequiredError ? TargetStatus.LOGIN_REQUIRED : statusFromError(error);
+      await pool.markFailure(username, status, { reason: error.message, retryAt: error.retryAt });
+      log(`⚠ Login with @${username} failed, trying another account...`);
     }
-  } else {
-    log('⚠ Laravel API not configured, data will only be logged');
   }
+}
 
-  const scraper = new InstagramScraper();
-  const tracker = new StoryTracker(config.igTargetUsername);
+/**
+ * Fold the summary of a failed attempt into the summary of its retry with another account
+ */
+function mergeAttempts(previous, retry) {
+  retry.stories_extracted += previous.stories_extracted;
+  retry.highlight_items_extracted += previous.highlight_items_extracted;
+  retry.new_stories += previous.new_stories;
+  retry.stories_with_links += previous.stories_with_links;
+  retry.previous_attempts = [
+    ...previous.previous_attempts,
+    { account: previous.account, status: previous.status, error: previous.error, output_file: previous.output_file },
+  ];
+  return retry;
+}
 
-  try {
-    // Initialize browser
-    await scraper.init();
+/**
+ * Summary of a target before it is scraped
+ */
+function targetSummary(username, account) {
+  return {
+    username,
+    account,
+    status: TargetStatus.OK,
+    stories_extracted: 0,
+    highlight_items_extracted: 0,
+    new_stories: 0,
+    stories_with_links: 0,
+    tray_end_reason: null,
+    tray_end_detail: null,
+    output_file: null,
+    error: null,
+    artifacts: [],
+    previous_attempts: [],
+  };
+}
 
-    // Login to Instagram with manual callback (readline handles stdin)
-    await scraper.login(waitForEnter);
+/**
+ * Scrape a single target with the already logged-in scraper
+ * New stories are queued in the outbox (null when the API is not configured) before being marked as processed
+ * Errors are captured in the returned summary so one bad profile doesn't abort the run
+ */
+async function processTarget(scraper, username, outbox = null) {
+  const tracker = new StoryTracker(username);
+  const highlightTracker = new StoryTracker(username, 'highlights');
+  const summary = targetSummary(username, scraper.account.username);
+
+  log(`\n=== Target @${username} ===`);
+
+  // Once the action budget is gone the remaining targets are skipped, not attempted
+  if (scraper.pacer.exhausted) {
+    summary.status = TargetStatus.BUDGET_EXHAUSTED;
+    summary.error = scraper.pacer.exhausted.message;
+    log(`⏭ Skipping @${username}: ${summary.error}`);
+    return { summary, stories: [] };
+  }
 
+  try {
     // Go to target user profile
-    await scraper.goToUserProfile();
+    await scraper.goToUserProfile(username);
 
-    // Check for active stories
-    const hasStories = await scraper.hasActiveStories();
+    let newActiveStories = [];
+    let newHighlightItems = [];
 
-    if (!hasStories) {
-      log('No active stories found. Sync complete.');
-      await scraper.close();
-      process.exit(0);
+    if (config.scrapeMode !== 'highlights') {
+      // Check for active stories
+      const hasStories = await scraper.hasActiveStories();
+
+      if (!hasStories) {
+        log(`No active stories found for @${username}`);
+        if (config.scrapeMode === 'stories') {
+          summary.status = TargetStatus.NO_ACTIVE_STORIES;
+          return { summary, stories: [] };
+        }
+      } else {
+        // Extract stories
+        const allStories = await scraper.extractStories();
+        summary.stories_extracted = allStories.length;
+        summary.tray_end_reason = scraper.lastTrayEnd?.reason || null;
+        summary.tray_end_detail = scraper.lastTrayEnd?.detail || null;
+
+        if (allStories.length === 0) {
+          log(`⚠ No stories extracted for @${username} (may have already been viewed)`);
+        } else {
+          log(`✓ ${allStories.length} total stories extracted for @${username}`);
+
+          // Filter out already processed stories
+          newActiveStories = await tracker.filterProcessedStories(allStories);
+        }
+      }
     }
 
-    // Extract stories
-    const allStories = await scraper.extractStories();
+    if (config.scrapeMode !== 'stories' && !scraper.pacer.exhausted) {
+      // The story viewer navigated away from the profile
+      if (config.scrapeMode === 'all') {
+        await scraper.goToUserProfile(username);
+      }
 
-    if (allStories.length === 0) {
-      log('⚠ No stories extracted (may have already been viewed)');
-      await scraper.close();
-      process.exit(0);
+      const highlightItems = await scraper.extractHighlights();
+      summary.highlight_items_extracted = highlightItems.length;
+      newHighlightItems = await highlightTracker.filterProcessedStories(highlightItems);
     }
 
-    log(`✓ ${allStories.length} total stories extracted`);
+    // The budget ran out mid-target: keep what was extracted, but flag it as incomplete
+    if (scraper.pacer.exhausted) {
+      summary.status = TargetStatus.BUDGET_EXHAUSTED;
+      summary.error = scraper.pacer.exhausted.message;
+    }
 
-    // Filter out already processed stories
-    const newStories = await tracker.filterProcessedStories(allStories);
+    const newStories = [...newActiveStories, ...newHighlightItems];
+    summary.new_stories = newStories.length;
 
     if (newStories.length === 0) {
-      log('✓ No new stories to process (all already tracked)');
-      await scraper.close();
-      process.exit(0);
+      log(`✓ No new stories to process for @${username} (all already tracked)`);
+      return { summary, stories: [] };
     }
 
     log(`✓ ${newStories.length} new stories to process`);
 
+    // Recognize media already downloaded under another story ID (reposts, reshares across targets)
+    if (config.mediaDedup.mode !== 'off') {
+      try {
+        summary.duplicates = await new MediaIndex().dedupeStories(newStories, username);
+        if (summary.duplicates > 0) {
+          log(`✓ ${summary.duplicates} duplicate stories ${config.mediaDedup.mode === 'skip' ? 'left out of the API payload' : 'flagged'}`);
+        }
+      } catch (error) {
+        log(`⚠ Error checking media hashes: ${error.message}`);
+      }
+    }
+    // Only identical files are left out: a perceptual match may be a different picture
+    const skippedDuplicates = config.mediaDedup.mode === 'skip' ? newStories.filter(s => s.duplicate_of?.match === 'sha256') : [];
+    const deliverable = newStories.filter(s => !skippedDuplicates.includes(s));
+    const deliveryKey = s => ({ username, kind: s.is_highlight ? 'highlights' : 'stories', key: storyKey(s) });
+
     // Count stories with links
-    const storiesWithLinks = newStories.filter(s => s.story_link).length;
-    log(`✓ ${storiesWithLinks} stories with links`);
+    summary.stories_with_links = newStories.filter(s => s.story_link).length;
+    log(`✓ ${summary.stories_with_links} stories with links`);
 
     // Log all extracted stories for preview
     log('\n--- NEW STORIES TO PROCESS ---');
@@ -118,6 +221,9 @@ async function main() {
       log(`Story ${i + 1}:`);
       log(`  - ID: ${story.ig_pk || 'N/A'}`);
       log(`  - Type: ${story.is_video ? 'Video' : 'Image'}`);
+      if (story.is_highlight) {
+        log(`  - Highlight: ${story.highlight_title || story.highlight_id}`);
+      }
       log(`  - Media URL: ${story.media_url}`);
       if (story.story_link) {
         log(`  - Link: ${story.story_link}`);
@@ -125,68 +231,323 @@ async function main() {
       if (story.caption) {
         log(`  - Caption: ${story.caption}`);
       }
+      const stickerTypes = Object.entries(story.stickers || {})
+        .filter(([, value]) => (Array.isArray(value) ? value.length > 0 : value))
+        .map(([type, value]) => (Array.isArray(value) ? `${type} (${value.length})` : type));
+      if (stickerTypes.length > 0) {
+        log(`  - Stickers: ${stickerTypes.join(', ')}`);
+      }
     });
 
     // Save to JSON file with timestamp
-    if (newStories.length > 0) {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const outputFile = `stories_${config.igTargetUsername}_${timestamp}.json`;
-
-      const outputData = {
-        scraped_at: new Date().toISOString(),
-        username: config.igTargetUsername,
-        total_stories: newStories.length,
-        stories: newStories,
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const outputFile = `stories_${username}_${timestamp}.json`;
+
+    const outputData = {
+      scraped_at: new Date().toISOString(),
+      username,
+      status: summary.status,
+      total_stories: newStories.length,
+      stories: newStories,
+    };
+
+    await fs.writeFile(outputFile, JSON.stringify(outputData, null, 2));
+    summary.output_file = outputFile;
+    log(`\n✓ Stories saved to: ${outputFile}`);
+
+    // Archive the new stories with the run and account that found them
+    const archive = getArchive();
+    if (archive) {
+      const archiveContext = {
+        username,
+        runId: scraper.artifacts.runId,
+        account: scraper.account.username,
+        deliveryStatus: outbox ? DeliveryStatus.PENDING : DeliveryStatus.SKIPPED,
       };
+      try {
+        const archived = archive.recordStories(newActiveStories, { ...archiveContext, kind: 'stories' }) +
+          archive.recordStories(newHighlightItems, { ...archiveContext, kind: 'highlights' });
+        archive.markDelivery(skippedDuplicates.map(deliveryKey), DeliveryStatus.SKIPPED);
+        log(`✓ ${archived} stories archived`);
+      } catch (error) {
+        log(`⚠ Error archiving stories: ${error.message}`);
+      }
+    }
 
-      await fs.writeFile(outputFile, JSON.stringify(outputData, null, 2));
-      log(`\n✓ Stories saved to: ${outputFile}`);
+    // Queue the payload durably first: once marked as processed, the stories won't be extracted again
+    if (outbox && deliverable.length > 0) {
+      await outbox.enqueue('stories', {
+        stories: deliverable,
+        total_stories: deliverable.length,
+        targets: [{ ...summary }],
+      }, {
+        runId: scraper.artifacts.runId,
+        stories: deliverable.map(deliveryKey),
+      });
     }
 
-    // Mark stories as processed
-    await tracker.markAsProcessed(newStories);
+    // Mark stories as processed (extracted; delivery is tracked by the outbox)
+    if (newActiveStories.length > 0) {
+      await tracker.markAsProcessed(newActiveStories);
+    }
+    if (newHighlightItems.length > 0) {
+      await highlightTracker.markAsProcessed(newHighlightItems);
+    }
 
     // Get tracker stats
     const stats = await tracker.getStats();
-    log(`\n📊 Tracker Stats: ${stats.total_processed} total stories tracked`);
+    const highlightStats = await highlightTracker.getStats();
+    log(`\n📊 Tracker Stats (@${username}): ${stats.total_processed} stories, ${highlightStats.total_processed} highlight items tracked`);
 
-    // Send to API (only if configured)
-    if (newStories.length > 0) {
-      if (config.laravelApiUrl && !config.laravelApiUrl.includes('your-domain.com')) {
-        const result = await sendToApi('stories', { stories: newStories, total_stories: newStories.length });
+    return { summary, stories: newStories };
+  } catch (error) {
+    summary.status = statusFromError(error);
+    summary.error = error.message;
+    log(`❌ Target @${username} failed (${summary.status}): ${error.message}`);
+    return { summary, stories: [] };
+  }
+}
 
-        if (result.success) {
-          log(`✓ ${newStories.length} stories synced successfully`);
+async function main() {
+  log('=== Starting Instagram Stories Sync (Node.js) ===');
 
-          // Send success notification
-          await sendSuccessNotification(newStories.length, getLogMessages());
-        } else {
-          log('⚠ Error sending data to server');
-          await sendErrorNotification(
-            'API Upload Failed',
-            result.error || 'Unknown error',
-            { stories_count: newStories.length }
-          );
+  // Validate configuration
+  try {
+    validateConfig();
+    log(`Target accounts (${config.igTargetUsernames.length}): ${config.igTargetUsernames.map(u => `@${u}`).join(', ')}`);
+    log(`Laravel API: ${config.laravelApiUrl}`);
+  } catch (error) {
+    log(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // Replayed data must never reach the real API
+  const apiEnabled = Boolean(
+    config.laravelApiUrl &&
+    config.laravelApiKey &&
+    !config.laravelApiUrl.includes('your-domain.com') &&
+    config.replayMode !== 'replay'
+  );
+
+  // Test API connection (only if URL is configured)
+  if (apiEnabled) {
+    const apiConnected = await testApiConnection();
+    if (!apiConnected) {
+      log('⚠ Continuing without API connection test...');
+    }
+  } else {
+    log('⚠ Laravel API not configured, data will only be logged');
+  }
+
+  const scraper = new InstagramScraper();
+  const runId = scraper.artifacts.runId;
+  const outbox = apiEnabled ? new Outbox() : null;
+
+  // Recordings are made and replayed with a single account, without touching the pool state
+  const pool = config.replayMode ? null : await new AccountPool().load();
+
+  try {
+    // Every new story goes to the local archive, tagged with this run
+    const archive = getArchive();
+    archive?.startRun(runId);
+
+    if (pool) {
+      const account = await pool.pick();
+      if (!account) {
+        throw new Error(`No healthy scraping account available (${pool.describe()})`);
+      }
+      scraper.useAccount(account);
+      log(`Scraping account: @${account.username} (pool: ${pool.describe()})`);
+    }
+
+    // Initialize browser
+    await scraper.init();
+
+    // Login to Instagram with manual callback (readline handles stdin)
+    if (!pool) {
+      await scraper.login(waitForEnter);
+    } else if (!await loginWithPool(scraper, pool)) {
+      // Each failed login already sent its own notification
+      throw Object.assign(new Error(`No scraping account could log in (${pool.describe()})`), { notified: true });
+    }
+
+    // Scrape every target with the same logged-in session, rotating accounts when one gets blocked
+    const summaries = [];
+    const newStories = [];
+
+    // Set once every account of the pool was set aside: the remaining targets are skipped
+    let poolExhausted = false;
+
+    for (const username of config.igTargetUsernames) {
+      if (poolExhausted) {
+        const summary = targetSummary(username, scraper.account.username);
+        summary.status = TargetStatus.NO_ACCOUNT_AVAILABLE;
+        summary.error = describeStatus(summary.status, username);
+        log(`⏭ Skipping @${username}: ${summary.error}`);
+        summaries.push(summary);
+        continue;
+      }
+
+      const tried = new Set([scraper.account.username]);
+      let result = await processTarget(scraper, username, outbox);
+      newStories.push(...result.stories);
+
+      while (pool && ROTATE_STATUSES.includes(result.summary.status)) {
+        await pool.markFailure(scraper.account.username, result.summary.status, {
+          reason: result.summary.error,
+          retryAt: scraper.pacer.exhausted?.retryAt,
+        });
+        // A logged-out session is not worth saving when switching away from it
+        if (result.summary.status === TargetStatus.LOGIN_REQUIRED) scraper.isLoggedIn = false;
+
+        if (!await loginWithPool(scraper, pool, tried)) {
+          // Not with the account just set aside: the remaining targets are skipped
+          log(`⚠ No other healthy account to retry @${username} (${pool.describe()}), skipping the remaining targets`);
+          poolExhausted = true;
+          break;
         }
-      } else {
-        log('⚠ Laravel API not configured - skipping data send');
+
+        log(`Retrying @${username} with @${scraper.account.username}`);
+        const retry = await processTarget(scraper, username, outbox);
+        newStories.push(...retry.stories);
+        result = { ...retry, summary: mergeAttempts(result.summary, retry.summary) };
       }
+
+      summaries.push(result.summary);
     }
 
+    // Failure artifacts (screenshot, HTML, trace) captured while scraping each target
+    summaries.forEach((summary) => {
+      summary.artifacts = scraper.artifacts.capturesFor(summary.username).map(c => c.dir);
+    });
+
+    // Per-target summary
+    log('\n--- TARGET SUMMARY ---');
+    summaries.forEach((summary) => {
+      const details = summary.error
+        ? summary.error
+        : `${summary.new_stories} new / ${summary.stories_extracted + summary.highlight_items_extracted} extracted, ${summary.stories_with_links} with links` +
+          (summary.tray_end_reason ? `, tray end: ${summary.tray_end_reason}` : '');
+      log(`  @${summary.username}: ${summary.status} (via @${summary.account}) - ${details}`);
+      summary.artifacts.forEach(dir => log(`    📎 ${dir}`));
+    });
+
+    // Run summary with every target's status (the per-target files only exist when there are new stories)
+    const summaryFile = `run_summary_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    await fs.writeFile(summaryFile, JSON.stringify({
+      finished_at: new Date().toISOString(),
+      total_new_stories: newStories.length,
+      artifacts_dir: scraper.artifacts.captures.length > 0 ? scraper.artifacts.runDir : null,
+      targets: summaries,
+    }, null, 2));
+    log(`✓ Run summary saved to: ${summaryFile}`);
+    archive?.finishRun(runId, summaries, newStories.length);
+
+    // Private, missing or story-less targets are expected; only our own failures are notified
+    const failedTargets = summaries.filter(s => shouldNotify(s.status));
+    if (failedTargets.length > 0) {
+      await sendErrorNotification(
+        'Target Scraping Failed',
+        `${failedTargets.length}/${summaries.length} targets failed`,
+        {
+          step: 'Target scraping',
+          failed_targets: failedTargets.map(s => `@${s.username} [${s.status}] via @${s.account}: ${s.error}`).join('\n'),
+          artifacts: failedTargets.flatMap(s => s.artifacts).join('\n') || null,
+        }
+      );
+    }
+
+    // Report every target's status, even when there is nothing new to send
+    if (apiEnabled) {
+      await sendToApi('status', {
+        checked_at: new Date().toISOString(),
+        targets: summaries.map(s => ({
+          username: s.username,
+          status: s.status,
+          message: s.error || (s.status === TargetStatus.OK ? null : describeStatus(s.status, s.username)),
+          new_stories: s.new_stories,
+        })),
+      });
+    }
+
+    // Deliver this run's payloads, and those left over by previous runs
+    if (outbox) {
+      const delivery = await outbox.flush();
+      const deliveredStories = delivery.delivered.reduce((count, entry) => count + entry.stories.length, 0);
+      const undelivered = [...delivery.failed, ...delivery.dead];
+      const undeliveredHere = undelivered.filter(entry => entry.run_id === runId);
+
+      if (deliveredStories > 0) {
+        log(`✓ ${deliveredStories} stories synced successfully`);
+      }
+      if (delivery.busy && newStories.length > 0) {
+        log('⚠ Stories queued, another process is delivering the outbox');
+      }
+
+      if (newStories.length > 0 && !delivery.busy && undeliveredHere.length === 0) {
+        // Send success notification
+        await sendSuccessNotification(newStories.length, getLogMessages(), {
+          targets: summaries.map(s => `@${s.username}: ${s.status} (${s.new_stories} new)`).join('\n'),
+        });
+      }
+
+      if (undelivered.length > 0) {
+        log('⚠ Error sending data to server, payloads kept in the outbox');
+        await sendErrorNotification(
+          'API Upload Failed',
+          undelivered[0].last_error || 'Unknown error',
+          {
+            stories_count: undelivered.reduce((count, entry) => count + entry.stories.length, 0),
+            queued_payloads: undelivered.map(e => `${e.id} [${e.status}] attempt ${e.attempts}, next: ${e.next_attempt_at || 'manual replay'}`).join('\n'),
+          }
+        );
+      }
+
+      if (newStories.length === 0) {
+        log('✓ No new stories to send');
+      }
+    } else if (newStories.length > 0) {
+      log('⚠ Laravel API not configured - skipping data send');
+    } else {
+      log('✓ No new stories to send');
+    }
+
+    // Keep the cookies Instagram refreshed during the run
+    await scraper.refreshSession();
+
     await scraper.close();
     log('\n=== Sync complete ===');
 
+    if (failedTargets.length === summaries.length) {
+      process.exit(1);
+    }
+
   } catch (error) {
+    if (error instanceof PacingBudgetError) {
+      log(`\n⛔ Run aborted: ${error.message}`);
+      await scraper.close();
+      process.exit(0);
+    }
+
     log(`\n❌ FATAL ERROR: ${error.message}`);
 
-    await sendErrorNotification(
-      'Fatal Error',
-      error.message,
-      {
-        step: 'Script execution',
-        stack: error.stack?.substring(0, 1000) || 'No stack trace',
+    // Login failures already sent their own notification from login()
+    if (!error.notified) {
+      if (!error.artifacts) {
+        await scraper.captureFailure('fatal', error);
       }
-    );
+
+      await sendErrorNotification(
+        'Fatal Error',
+        error.message,
+        {
+          step: 'Script execution',
+          stack: error.stack?.substring(0, 1000) || 'No stack trace',
+          artifacts: error.artifacts || null,
+          login_account: scraper.account?.username,
+        }
+      );
+    }
 
     await scraper.close();
     process.exit(1);
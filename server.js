@@ -2,6 +2,10 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getVideoPath, videoExists, getAllVideoIds, deleteVideo } from './services/videoProcessor.js';
+import { getImagePath, imageExists, getAllImageIds, deleteImage } from './services/imageProcessor.js';
+import { Outbox, InvalidOutboxIdError } from './services/outbox.js';
+import { MediaIndex } from './services/mediaIndex.js';
+import { config } from './config/env.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -9,6 +13,8 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 const SERVER_URL = process.env.SERVER_URL || `http://localhost:${PORT}`;
+const outbox = new Outbox();
+const outboxEnabled = Boolean(config.laravelApiUrl && config.laravelApiKey);
 
 // Middleware
 app.use(express.json());
@@ -104,6 +110,11 @@ app.delete('/videos/:id', async (req, res) => {
   const { id } = req.params;
 
   try {
+    const duplicates = await new MediaIndex().sharedBy(id);
+    if (duplicates.length > 0) {
+      return res.status(409).json({ error: 'Video shared by duplicate stories', duplicates });
+    }
+
     const deleted = await deleteVideo(id);
     if (deleted) {
       res.json({ success: true, message: 'Video deleted' });
@@ -115,18 +126,145 @@ app.delete('/videos/:id', async (req, res) => {
   }
 });
 
+// Get all images
+app.get('/images', async (req, res) => {
+  try {
+    const images = await getAllImageIds();
+    res.json({
+      images: images.map(id => ({
+        id,
+        url: `${SERVER_URL}/images/${id}.jpg`,
+      })),
+      count: images.length,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Serve image file
+app.get('/images/:id.jpg', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const exists = await imageExists(id);
+    if (!exists) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.sendFile(getImagePath(id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete image
+app.delete('/images/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const duplicates = await new MediaIndex().sharedBy(id);
+    if (duplicates.length > 0) {
+      return res.status(409).json({ error: 'Image shared by duplicate stories', duplicates });
+    }
+
+    const deleted = await deleteImage(id);
+    if (deleted) {
+      res.json({ success: true, message: 'Image deleted' });
+    } else {
+      res.status(404).json({ error: 'Image not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List outbox entries (payloads waiting for the Laravel API)
+app.get('/outbox', async (req, res) => {
+  try {
+    const entries = await outbox.list();
+    res.json({
+      entries: entries.map(({ payload, ...entry }) => entry),
+      count: entries.length,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Show an outbox entry with its payload
+app.get('/outbox/:id', async (req, res) => {
+  try {
+    const entry = await outbox.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Outbox entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    res.status(error instanceof InvalidOutboxIdError ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Deliver the entries that are due
+app.post('/outbox/flush', async (req, res) => {
+  try {
+    const result = await outbox.flush();
+    res.json(flushResponse(result));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deliver an entry now, dead ones included
+app.post('/outbox/:id/replay', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await outbox.get(id))) {
+      return res.status(404).json({ error: 'Outbox entry not found' });
+    }
+    const result = await outbox.flush({ ids: [id], force: true });
+    res.json(flushResponse(result));
+  } catch (error) {
+    res.status(error instanceof InvalidOutboxIdError ? 400 : 500).json({ error: error.message });
+  }
+});
+
+function flushResponse({ delivered, failed, dead, busy }) {
+  const ids = entries => entries.map(entry => entry.id);
+  return { delivered: ids(delivered), failed: ids(failed), dead: ids(dead), busy };
+}
+
+// Retry pending deliveries in the background, so payloads don't wait for the next scrape
+if (outboxEnabled && config.outbox.flushInterval > 0) {
+  setInterval(() => {
+    outbox.flush().catch(error => console.error(`Outbox flush failed: ${error.message}`));
+  }, config.outbox.flushInterval);
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log('\n🎬 Instagram Story Video Server');
   console.log('='.repeat(50));
   console.log(`✅ Server running at: ${SERVER_URL}`);
   console.log(`📁 Video directory: ${path.join(__dirname, 'video_stories')}`);
+  console.log(`📁 Image directory: ${path.join(__dirname, 'image_stories')}`);
   console.log(`\n📌 Endpoints:`);
   console.log(`   GET  /health              - Health check`);
   console.log(`   GET  /videos              - List all videos`);
   console.log(`   GET  /videos/:id.mp4      - Serve video file`);
   console.log(`   GET  /stream/:id.mp4      - Stream video with range support`);
   console.log(`   DEL  /videos/:id          - Delete video`);
+  console.log(`   GET  /images              - List all images`);
+  console.log(`   GET  /images/:id.jpg      - Serve image file (JPEG)`);
+  console.log(`   DEL  /images/:id          - Delete image`);
+  console.log(`   GET  /outbox              - List pending API payloads`);
+  console.log(`   GET  /outbox/:id          - Show an outbox entry`);
+  console.log(`   POST /outbox/flush        - Deliver due payloads`);
+  console.log(`   POST /outbox/:id/replay   - Deliver an entry now`);
+  if (outboxEnabled && config.outbox.flushInterval > 0) {
+    console.log(`\n📮 Outbox retried every ${Math.round(config.outbox.flushInterval / 1000)}s`);
+  }
   console.log('\n');
 });
 
@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/env.js';
+import { log } from '../utils/logger.js';
+import { writeFileAtomic, withFileLock } from '../utils/atomicFile.js';
+import { TargetStatus } from './targetStatus.js';
+
+/**
+ * Account Pool
+ * Health of the scraping accounts, persisted across runs, and the choice of the account to use
+ */
+
+export const AccountHealth = Object.freeze({
+  HEALTHY: 'healthy',
+  // Hit a checkpoint / 2FA it couldn't solve, or got logged out
+  CHALLENGED: 'challenged',
+  // Rate limited, out of action budget or failed to log in: usable again after `until`
+  COOLING_DOWN: 'cooling_down',
+});
+
+export class AccountPool {
+  constructor(accounts = config.igAccounts) {
+    this.accounts = accounts;
+    this.stateFile = config.accountPool.stateFile;
+    this.state = {}; // username -> { status, until, reason, last_used_at, updated_at }
+  }
+
+  /**
+   * Load the persisted health states
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.stateFile, 'utf-8'));
+      this.state = data.accounts || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log(`⚠ Error loading account pool state: ${error.message}`);
+      }
+      this.state = {};
+    }
+    return this;
+  }
+
+  /**
+   * Apply `mutate` to the latest persisted states and save them, under the state file lock
+   * Overlapping runs each change their own accounts: reloading first keeps the cooldowns the others recorded
+   * Returns what `mutate` returns
+   */
+  async update(mutate) {
+    let applied = false;
+    let result;
+    try {
+      await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      await withFileLock(this.stateFile, async () => {
+        await this.load();
+        result = mutate();
+        applied = true;
+        await writeFileAtomic(this.stateFile, JSON.stringify({ accounts: this.state, updated_at: new Date().toISOString() }, null, 2));
+      });
+    } catch (error) {
+      log(`⚠ Error saving account pool state: ${error.message}`);
+      // The run goes on with the change in memory only
+      if (!applied) result = mutate();
+    }
+    return result;
+  }
+
+  /**
+   * Current health of an account; an expired challenge or cooldown is healthy again
+   */
+  health(username) {
+    const entry = this.state[username];
+    if (!entry || entry.status === AccountHealth.HEALTHY) {
+      return { status: AccountHealth.HEALTHY, until: null, reason: null };
+    }
+    if (entry.until && new Date(entry.until).getTime() <= Date.now()) {
+      return { status: AccountHealth.HEALTHY, until: null, reason: null };
+    }
+    return { status: entry.status, until: entry.until || null, reason: entry.reason || null };
+  }
+
+  /**
+   * Pick the healthy account used least recently, skipping `exclude`
+   * Interactive runs may fall back to a challenged account, since a human can solve the challenge
+   * Returns null when no account is usable
+   */
+  async pick(exclude = []) {
+    return this.update(() => {
+      const candidates = this.accounts.filter(a => !exclude.includes(a.username));
+      const lastUsed = (a) => new Date(this.state[a.username]?.last_used_at || 0).getTime();
+      const byLastUse = (a, b) => lastUsed(a) - lastUsed(b);
+
+      let account = candidates
+        .filter(a => this.health(a.username).status === AccountHealth.HEALTHY)
+        .sort(byLastUse)[0];
+
+      if (!account && config.interactive) {
+        account = candidates
+          .filter(a => this.health(a.username).status === AccountHealth.CHALLENGED)
+          .sort(byLastUse)[0];
+      }
+
+      if (!account) return null;
+
+      this.state[account.username] = {
+        ...this.state[account.username],
+        ...this.health(account.username),
+        last_used_at: new Date().toISOString(),
+      };
+      return account;
+    });
+  }
+
+  /**
+   * Record a new health state for an account
+   */
+  async mark(username, status, { until = null, reason = null } = {}) {
+    await this.update(() => {
+      this.state[username] = {
+        ...this.state[username],
+        status,
+        until: until ? new Date(until).toISOString() : null,
+        reason,
+        updated_at: new Date().toISOString(),
+      };
+    });
+
+    if (status !== AccountHealth.HEALTHY) {
+      log(`⚠ Account @${username} is now ${status}${until ? ` until ${new Date(until).toISOString()}` : ''}${reason ? `: ${reason}` : ''}`);
+    }
+  }
+
+  /**
+   * Mark an account healthy after a successful login
+   */
+  async markHealthy(username) {
+    await this.mark(username, AccountHealth.HEALTHY);
+  }
+
+  /**
+   * Set an account aside after a failure, from the target status it caused
+   * Returns true when the account should be rotated away from
+   */
+  async markFailure(username, status, { reason = null, retryAt = null } = {}) {
+    const now = Date.now();
+    const { rateLimitCooldown, challengeCooldown, loginFailureCooldown } = config.accountPool;
+
+    switch (status) {
+      case TargetStatus.LOGIN_REQUIRED:
+        await this.mark(username, AccountHealth.CHALLENGED, { until: now + challengeCooldown, reason });
+        return true;
+      case TargetStatus.RATE_LIMITED:
+        await this.mark(username, AccountHealth.COOLING_DOWN, { until: now + rateLimitCooldown, reason });
+        return true;
+      case TargetStatus.BUDGET_EXHAUSTED:
+        await this.mark(username, AccountHealth.COOLING_DOWN, { until: retryAt || now + rateLimitCooldown, reason });
+        return true;
+      case TargetStatus.ERROR:
+        await this.mark(username, AccountHealth.COOLING_DOWN, { until: now + loginFailureCooldown, reason });
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * One line per account, for logs and notifications
+   */
+  describe() {
+    return this.accounts.map((account) => {
+      const { status, until } = this.health(account.username);
+      return `@${account.username}: ${status}${until ? ` until ${until}` : ''}`;
+    }).join(', ');
+  }
+}
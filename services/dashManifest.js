@@ -0,0 +1,164 @@
+/**
+ * DASH Manifest
+ * Picks the video and audio renditions of a story from the `video_dash_manifest` (MPD XML) of its media JSON
+ */
+
+/**
+ * Decode the XML entities Instagram uses in attribute values and BaseURLs
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse the attributes of an XML start tag into an object
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
+/**
+ * Parse a number attribute (null when missing)
+ */
+function toNumber(value) {
+  const number = Number(value);
+  return value !== undefined && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse an MPD manifest into its representations
+ * Each representation is { id, kind: 'video'|'audio', url, bandwidth, width, height, codecs, mime_type, quality_label }
+ */
+export function parseDashManifest(xml) {
+  if (typeof xml !== 'string' || !xml.includes('<MPD')) return [];
+
+  const representations = [];
+
+  for (const [, setTag, setBody] of xml.matchAll(/<AdaptationSet\b([^>]*)>([\s\S]*?)<\/AdaptationSet>/g)) {
+    const set = parseAttributes(setTag);
+
+    for (const [, repTag, repBody] of setBody.matchAll(/<Representation\b([^>]*?)(?:\/>|>([\s\S]*?)<\/Representation>)/g)) {
+      const rep = parseAttributes(repTag);
+      const baseUrl = repBody?.match(/<BaseURL>([\s\S]*?)<\/BaseURL>/)?.[1];
+      if (!baseUrl) continue;
+
+      const mimeType = rep.mimeType || set.mimeType || '';
+      const contentType = set.contentType || mimeType.split('/')[0];
+      if (contentType !== 'video' && contentType !== 'audio') continue;
+
+      representations.push({
+        id: rep.id || null,
+        kind: contentType,
+        url: decodeXml(baseUrl.trim()),
+        bandwidth: toNumber(rep.bandwidth),
+        width: toNumber(rep.width ?? set.width),
+        height: toNumber(rep.height ?? set.height),
+        codecs: rep.codecs || set.codecs || null,
+        mime_type: mimeType || null,
+        quality_label: rep.FBQualityLabel || null,
+      });
+    }
+  }
+
+  return representations;
+}
+
+/**
+ * Quality of a video rendition as its "p" value: the short side (720 for 720x1280)
+ */
+function qualityOf(rendition) {
+  if (!rendition.width || !rendition.height) return null;
+  return Math.min(rendition.width, rendition.height);
+}
+
+/**
+ * Pick the highest-resolution video (bandwidth breaks ties) whose quality is within the cap
+ * When every rendition is above the cap, the lowest one is used
+ */
+export function pickVideoRendition(renditions, qualityCap = 0) {
+  const videos = renditions.filter(r => r.kind !== 'audio' && r.url);
+  if (videos.length === 0) return null;
+
+  const rank = (r) => [(r.width || 0) * (r.height || 0), r.bandwidth || 0];
+  const compare = (a, b) => {
+    const [areaA, bandwidthA] = rank(a);
+    const [areaB, bandwidthB] = rank(b);
+    return areaA - areaB || bandwidthA - bandwidthB;
+  };
+  const sorted = [...videos].sort(compare);
+
+  if (!qualityCap) return sorted[sorted.length - 1];
+
+  const allowed = sorted.filter(r => qualityOf(r) === null || qualityOf(r) <= qualityCap);
+  return allowed.length > 0 ? allowed[allowed.length - 1] : sorted[0];
+}
+
+/**
+ * Pick the audio rendition to mux with a video: same codec family when possible, then the highest bandwidth
+ */
+export function pickAudioRendition(renditions, video = null) {
+  const audios = renditions.filter(r => r.kind === 'audio' && r.url);
+  if (audios.length === 0) return null;
+
+  const byBandwidth = (a, b) => (b.bandwidth || 0) - (a.bandwidth || 0);
+  // Instagram pairs avc1 video with mp4a audio and vp09 video with opus audio
+  const family = video?.codecs?.startsWith('vp') ? /opus/ : /mp4a/;
+  const matching = audios.filter(r => family.test(r.codecs || ''));
+
+  return (matching.length > 0 ? matching : audios).sort(byBandwidth)[0];
+}
+
+/**
+ * Choose the renditions to download for a story item
+ * Uses the DASH manifest when present, the progressive `video_versions` (audio muxed in) otherwise
+ * Returns { source: 'dash'|'progressive', video, audio } or null
+ */
+export function selectVideoRenditions(rawItem, qualityCap = 0) {
+  const representations = parseDashManifest(rawItem?.video_dash_manifest);
+  const video = pickVideoRendition(representations, qualityCap);
+  if (video) {
+    return { source: 'dash', video, audio: pickAudioRendition(representations, video) };
+  }
+
+  const versions = (rawItem?.video_versions || []).map(v => ({
+    id: v.id || null,
+    kind: 'video',
+    url: v.url,
+    bandwidth: toNumber(v.bandwidth),
+    width: v.width || null,
+    height: v.height || null,
+    codecs: null,
+    mime_type: 'video/mp4',
+    quality_label: null,
+  }));
+  const progressive = pickVideoRendition(versions, qualityCap);
+  return progressive ? { source: 'progressive', video: progressive, audio: null } : null;
+}
+
+/**
+ * Summary of the chosen renditions, recorded on the story
+ */
+export function describeRenditions(selection) {
+  if (!selection) return null;
+  const { source, video, audio } = selection;
+  return {
+    source,
+    width: video.width,
+    height: video.height,
+    quality_label: video.quality_label || (qualityOf(video) ? `${qualityOf(video)}p` : null),
+    video_bitrate: video.bandwidth,
+    video_codecs: video.codecs,
+    audio_bitrate: audio?.bandwidth ?? null,
+    audio_codecs: audio?.codecs ?? null,
+  };
+}
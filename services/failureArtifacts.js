@@ -0,0 +1,161 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/env.js';
+import { log } from '../utils/logger.js';
+
+/**
+ * Failure Artifacts
+ * Screenshot, page HTML and Playwright trace captured when a step fails, stored per run:
+ *
+ *   artifacts/<run id>/<NN>-<label>/
+ *     screenshot.png
+ *     page.html
+ *     trace.zip     - open with `npx playwright show-trace`
+ *     error.json    - step, target, URL, message and stack
+ */
+
+/**
+ * Make a label safe to use in a directory name
+ */
+function slug(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]+/g, '_').slice(0, 60);
+}
+
+export class FailureArtifacts {
+  constructor(runId = new Date().toISOString().replace(/[:.]/g, '-')) {
+    this.runId = runId;
+    this.rootDir = config.artifacts.dir;
+    this.runDir = path.join(this.rootDir, runId);
+    this.captures = [];
+    this.tracing = false;
+  }
+
+  /**
+   * Start recording a trace; chunks are only written to disk when a failure is captured
+   */
+  async startTracing(context) {
+    if (!config.artifacts.trace) return;
+    try {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+      await context.tracing.startChunk();
+      this.tracing = true;
+    } catch (error) {
+      log(`⚠ Tracing not available: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop recording, discarding the trace since the last failure
+   */
+  async stopTracing(context) {
+    if (!this.tracing) return;
+    this.tracing = false;
+    await context.tracing.stopChunk().catch(() => {});
+    await context.tracing.stop().catch(() => {});
+  }
+
+  /**
+   * Capture the state of the page after a failure
+   * Each artifact is best-effort: a crashed page may still leave a trace or an HTML dump
+   * Returns the capture ({ label, target, dir, files }) or null when nothing could be saved
+   */
+  async capture(page, label, error, target = null) {
+    const index = String(this.captures.length + 1).padStart(2, '0');
+    const dir = path.join(this.runDir, `${index}-${slug(label)}${target ? `-${slug(target)}` : ''}`);
+    const files = {};
+
+    try {
+      await fs.mkdir(dir, { recursive: true });
+    } catch (e) {
+      log(`⚠ Could not create artifacts directory: ${e.message}`);
+      return null;
+    }
+
+    const url = page && !page.isClosed() ? page.url() : null;
+
+    if (page && !page.isClosed()) {
+      try {
+        files.screenshot = path.join(dir, 'screenshot.png');
+        await page.screenshot({ path: files.screenshot, timeout: 10000 });
+      } catch (e) {
+        delete files.screenshot;
+        console.log(`[DEBUG] Screenshot failed: ${e.message}`);
+      }
+
+      try {
+        files.html = path.join(dir, 'page.html');
+        await fs.writeFile(files.html, await page.content());
+      } catch (e) {
+        delete files.html;
+        console.log(`[DEBUG] HTML dump failed: ${e.message}`);
+      }
+    }
+
+    if (this.tracing && page) {
+      try {
+        files.trace = path.join(dir, 'trace.zip');
+        await page.context().tracing.stopChunk({ path: files.trace });
+        await page.context().tracing.startChunk();
+      } catch (e) {
+        delete files.trace;
+        console.log(`[DEBUG] Trace save failed: ${e.message}`);
+      }
+    }
+
+    files.error = path.join(dir, 'error.json');
+    await fs.writeFile(files.error, JSON.stringify({
+      captured_at: new Date().toISOString(),
+      step: label,
+      target,
+      url,
+      message: error?.message || null,
+      stack: error?.stack || null,
+    }, null, 2)).catch(() => delete files.error);
+
+    const captured = { label, target, dir, files };
+    this.captures.push(captured);
+    log(`📎 Failure artifacts saved to ${dir}`);
+    return captured;
+  }
+
+  /**
+   * Captures of a target
+   */
+  capturesFor(target) {
+    return this.captures.filter(c => c.target === target);
+  }
+
+  /**
+   * Delete old runs: beyond the most recent `maxRuns`, or older than `maxAgeDays`
+   */
+  async prune() {
+    const { maxRuns, maxAgeDays } = config.artifacts;
+    let entries;
+    try {
+      entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+    } catch {
+      return 0;
+    }
+
+    const runs = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const dir = path.join(this.rootDir, entry.name);
+      const stats = await fs.stat(dir).catch(() => null);
+      if (stats) runs.push({ dir, mtime: stats.mtimeMs });
+    }
+
+    // Newest first
+    runs.sort((a, b) => b.mtime - a.mtime);
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const expired = runs.filter((run, i) => run.dir !== this.runDir && ((maxRuns > 0 && i >= maxRuns) || (maxAgeDays > 0 && run.mtime < cutoff)));
+
+    for (const run of expired) {
+      await fs.rm(run.dir, { recursive: true, force: true }).catch(() => {});
+    }
+    if (expired.length > 0) {
+      log(`🧹 Removed ${expired.length} old artifact runs`);
+    }
+    return expired.length;
+  }
+}
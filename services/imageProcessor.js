@@ -0,0 +1,177 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { log } from '../utils/logger.js';
+import { withRetry } from '../utils/retry.js';
+import { downloadFile, hashFile } from './videoProcessor.js';
+
+/**
+ * Image Processor Service
+ * Downloads image stories, normalizes them to JPEG with ffmpeg, and serves them
+ */
+
+const IMAGE_STORIES_DIR = path.join(process.cwd(), 'image_stories');
+const TEMP_DIR = path.join(process.cwd(), 'temp_media');
+
+// JPEG files start with FF D8 FF
+const JPEG_MAGIC = Buffer.from([0xff, 0xd8, 0xff]);
+
+// Ensure directories exist
+async function ensureDirectories() {
+  await fs.mkdir(IMAGE_STORIES_DIR, { recursive: true });
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+}
+
+/**
+ * Check if a file is already a JPEG by its magic bytes
+ */
+async function isJpeg(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(JPEG_MAGIC.length);
+    await handle.read(header, 0, header.length, 0);
+    return header.equals(JPEG_MAGIC);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Convert any image ffmpeg can decode (WebP, HEIC, PNG...) to JPEG
+ */
+async function convertToJpeg(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    const args = ['-y', '-i', inputPath, '-frames:v', '1', '-q:v', '2', outputPath];
+
+    log(`   Running ffmpeg...`);
+
+    const ffmpeg = spawn('ffmpeg', args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code === 0) {
+        log(`   ✅ ffmpeg completed successfully`);
+        resolve();
+      } else {
+        log(`   ⚠️  ffmpeg stderr: ${stderr.substring(0, 500)}`);
+        reject(new Error(`ffmpeg failed with exit code ${code}`));
+      }
+    });
+
+    ffmpeg.on('error', (err) => {
+      reject(new Error(`ffmpeg spawn error: ${err.message}`));
+    });
+  });
+}
+
+/**
+ * Process an image story: download it, normalize to JPEG, save to image_stories
+ * Returns the UUID and local URL
+ */
+export async function processImageStory(imageUrl, page) {
+  const imageId = uuidv4();
+  const downloadPath = path.join(TEMP_DIR, `${imageId}_image`);
+  const outputPath = path.join(IMAGE_STORIES_DIR, `${imageId}.jpg`);
+
+  try {
+    await ensureDirectories();
+
+    log(`\n🖼️  Processing story image...`);
+    log(`   Image ID: ${imageId}`);
+
+    log(`   ⬇️  Downloading image...`);
+    const downloaded = await downloadFile(imageUrl, downloadPath, page);
+
+    // Checksum of the stored file: the download's own unless it was converted
+    let sha256 = downloaded.sha256;
+    if (await isJpeg(downloadPath)) {
+      log(`   ℹ️  Already JPEG, no conversion needed`);
+      await fs.copyFile(downloadPath, outputPath);
+    } else {
+      log(`   🔧 Converting to JPEG...`);
+      await withRetry('ffmpeg', () => convertToJpeg(downloadPath, outputPath));
+      sha256 = await hashFile(outputPath);
+    }
+    const { size } = await fs.stat(outputPath);
+
+    // Clean up temp file
+    await fs.unlink(downloadPath).catch(() => {});
+
+    log(`   ✅ Image processed: ${imageId}.jpg`);
+
+    return {
+      success: true,
+      imageId,
+      localPath: outputPath,
+      url: `/images/${imageId}.jpg`,
+      sha256,
+      size,
+    };
+
+  } catch (error) {
+    log(`   ❌ Processing failed: ${error.message}`);
+
+    await fs.unlink(downloadPath).catch(() => {});
+    await fs.unlink(outputPath).catch(() => {});
+
+    return {
+      success: false,
+      error: error.message,
+      cause: error,
+    };
+  }
+}
+
+/**
+ * Get image path by ID
+ */
+export function getImagePath(imageId) {
+  return path.join(IMAGE_STORIES_DIR, `${imageId}.jpg`);
+}
+
+/**
+ * Check if image exists
+ */
+export async function imageExists(imageId) {
+  try {
+    await fs.access(getImagePath(imageId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Delete image by ID
+ */
+export async function deleteImage(imageId) {
+  try {
+    await fs.unlink(getImagePath(imageId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get all image IDs
+ */
+export async function getAllImageIds() {
+  try {
+    const files = await fs.readdir(IMAGE_STORIES_DIR);
+    return files
+      .filter(f => f.endsWith('.jpg'))
+      .map(f => f.replace('.jpg', ''));
+  } catch {
+    return [];
+  }
+}
@@ -1,26 +1,127 @@
 import { chromium } from 'playwright';
 import { config } from '../config/env.js';
 import { log } from '../utils/logger.js';
+import { withRetry, HttpError } from '../utils/retry.js';
+import { JobQueue } from '../utils/jobQueue.js';
 import { sendErrorNotification } from '../utils/notifications.js';
+import { generateTotp, totpRemainingMs } from '../utils/totp.js';
+import { SessionKeyError } from '../utils/sessionCrypto.js';
 import { SessionManager } from './sessionManager.js';
 import { StoryTracker } from './storyTracker.js';
-import { processStory, isAudioOnly } from './videoProcessor.js';
-import fs from 'fs/promises';
+import { processStory, isAudioOnly, downloadsThroughPage } from './videoProcessor.js';
+import { processImageStory } from './imageProcessor.js';
+import { SessionRecorder, SessionReplayer } from './sessionRecorder.js';
+import { Pacer, PacingBudgetError } from './pacer.js';
+import { selectVideoRenditions, describeRenditions } from './dashManifest.js';
+import { FailureArtifacts } from './failureArtifacts.js';
+import {
+  TargetStatus,
+  TargetStatusError,
+  classifyHttpStatus,
+  classifyUrl,
+  classifyPageText,
+  describeStatus,
+  shouldNotify,
+} from './targetStatus.js';
+import {
+  isStoryMediaResponse,
+  parseResponseBody,
+  extractStoryItems,
+  extractHighlightTrays,
+  extractStickersFromAnchors,
+} from './storyMediaParser.js';
 
 const SERVER_URL = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
 
+// Public app id the Instagram web client sends with its API requests
+const IG_WEB_APP_ID = '936619743392459';
+
+/**
+ * Parse a story viewer URL (/stories/<username>/<pk>/) into its username and pk
+ */
+function parseStoryUrl(url) {
+  const match = url.match(/\/stories\/([^/?#]+)(?:\/(\d+))?/);
+  if (!match) return null;
+  return { username: match[1], pk: match[2] || null };
+}
+
+/**
+ * Case-insensitive username comparison
+ */
+function sameUser(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Whether a URL is a two-factor or checkpoint page
+ */
+function isVerificationUrl(url) {
+  return String(url).includes('two_factor') || String(url).includes('/challenge');
+}
+
+/**
+ * Thrown when login is stuck on a verification the scraper can't complete unattended
+ */
+export class VerificationRequiredError extends Error {
+  constructor(challengeType, url, message) {
+    super(message);
+    this.name = 'VerificationRequiredError';
+    this.challengeType = challengeType;
+    this.url = url;
+  }
+}
+
 /**
  * Instagram Story Scraper using Playwright
  */
 export class InstagramScraper {
-  constructor() {
+  constructor(account = config.igAccounts[0]) {
     this.browser = null;
     this.context = null;
     this.page = null;
     this.isLoggedIn = false;
-    this.sessionManager = new SessionManager();
+    this.account = null; // scraping account { username, password, totpSecret }
+    this.sessionManager = null;
+    this.pacer = null;
     this.storyTracker = null;
     this.seenPks = new Set();
+    this.currentTarget = null;
+    this.storyMediaItems = new Map(); // pk -> story item parsed from media JSON
+    this.highlightTrays = new Map(); // highlight id -> { id, title } parsed from profile JSON
+    this.recorder = config.replayMode === 'record' ? new SessionRecorder(config.replayDir) : null;
+    this.replayer = config.replayMode === 'replay' ? new SessionReplayer(config.replayDir) : null;
+    this.lastTrayEnd = null; // { reason, detail } of the last story walk
+    this.rateLimitedAt = 0; // last time Instagram answered 429
+    this.artifacts = new FailureArtifacts();
+    // Downloads and merges run here while the walker moves on; joined before the stories are returned
+    // No job-level retries: downloads and ffmpeg already retry with their own policies
+    this.mediaJobs = new JobQueue('media', { concurrency: config.mediaConcurrency });
+    this.useAccount(account);
+  }
+
+  /**
+   * Scrape with another account: its own session file and action budget
+   * Takes effect on the next openContext()
+   */
+  useAccount(account) {
+    this.account = account;
+    this.sessionManager = new SessionManager(account.username);
+    this.pacer = new Pacer(account.username);
+    this.isLoggedIn = false;
+  }
+
+  /**
+   * Replace the browser context with one for another account (the browser is kept)
+   */
+  async switchAccount(account) {
+    log(`🔄 Switching to account @${account.username}`);
+    // Keep the cookies Instagram refreshed for the account being left, as at the end of a run
+    await this.refreshSession();
+    await this.closeContext();
+    this.useAccount(account);
+    // Per-target state belongs to the previous context
+    this.currentTarget = null;
+    await this.openContext();
   }
 
   /**
@@ -29,7 +130,7 @@ export class InstagramScraper {
   async init() {
     try {
       const launchOptions = {
-        headless: false,
+        headless: config.headless,
         args: [
           '--disable-blink-features=AutomationControlled',
           '--disable-dev-shm-usage',
@@ -39,69 +140,163 @@ export class InstagramScraper {
         ],
       };
 
-      if (config.proxyUrl) {
+      if (config.proxyUrl && !this.replayer) {
         launchOptions.proxy = { server: config.proxyUrl };
         log(`Using proxy: ${config.proxyUrl}`);
       }
 
-      this.browser = await chromium.launch(launchOptions);
+      // In profile mode each account's context launches its own browser on its user-data directory
+      this.launchOptions = launchOptions;
+      if (!this.usesProfile()) {
+        this.browser = await chromium.launch(launchOptions);
+      }
+      await this.artifacts.prune();
+      await this.openContext();
+
+      log('Browser initialized');
+    } catch (error) {
+      log(`❌ Browser initialization error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the session lives in a persistent Chromium profile rather than in a cookies file
+   * Replays always start from a blank context
+   */
+  usesProfile() {
+    return config.sessionMode === 'profile' && !this.replayer;
+  }
 
+  /**
+   * Open a browser context and page for the current account, with its saved session
+   */
+  async openContext() {
+    try {
       const contextOptions = {
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+        userAgent: config.userAgent,
         viewport: { width: 1920, height: 1080 },
         locale: 'en-US',
         timezoneId: 'America/New_York',
         permissions: ['geolocation', 'notifications'],
       };
 
-      // Load session if exists
-      if (await this.sessionManager.hasSession()) {
-        const sessionAge = await this.sessionManager.getSessionAge();
-        if (sessionAge < 168) {
-          log(`Existing session found (${Math.round(sessionAge)} hours ago)`);
-          try {
-            const sessionData = await fs.readFile(this.sessionManager.sessionFile, 'utf-8');
-            const storageState = JSON.parse(sessionData);
-            console.log(`[DEBUG] Loaded session with ${storageState.cookies?.length || 0} cookies`);
-            contextOptions.storageState = {
-              cookies: storageState.cookies,
-              origins: storageState.localStorage ? [{
-                origin: config.instagramUrl,
-                localStorage: Object.entries(storageState.localStorage).map(([name, value]) => ({ name, value }))
-              }] : []
-            };
-          } catch (e) {
-            console.log(`[DEBUG] Failed to load storage state: ${e.message}`);
-          }
+      if (this.recorder) {
+        await this.recorder.start();
+        Object.assign(contextOptions, this.recorder.contextOptions());
+      }
+
+      // The profile keeps cookies, localStorage, IndexedDB and service workers by itself
+      if (this.usesProfile()) {
+        const profile = await this.sessionManager.inspectProfile();
+        log(profile.exists
+          ? `Using browser profile ${profile.path} (last used ${profile.modified_at})`
+          : `Creating browser profile ${profile.path}`);
+        this.context = await chromium.launchPersistentContext(profile.path, { ...this.launchOptions, ...contextOptions });
+        await this.setupContext();
+        return;
+      }
+
+      // Load session if exists (a replay never uses the real session)
+      if (!this.replayer) {
+        await this.sessionManager.migrateLegacySession();
+      }
+      let storageState = null;
+      if (!this.replayer) {
+        try {
+          storageState = await this.sessionManager.readSession();
+        } catch (error) {
+          // A missing or wrong key must not silently replace the encrypted session; anything else means a new login
+          if (error instanceof SessionKeyError) throw error;
+          console.log(`[DEBUG] Failed to load storage state: ${error.message}`);
+          log(`⚠ Stored session not readable (${error.message}), a new login is needed`);
+        }
+      }
+      if (storageState) {
+        // Validity comes from the auth cookies' expiry; login() then checks the session is really still logged in
+        const validity = this.sessionManager.getSessionValidity(storageState);
+        if (validity.valid) {
+          log(`Existing session found (expires ${validity.expiresAt || 'with the browser session'})`);
+          console.log(`[DEBUG] Loaded session with ${storageState.cookies?.length || 0} cookies`);
+          contextOptions.storageState = {
+            cookies: storageState.cookies,
+            origins: storageState.localStorage ? [{
+              origin: config.instagramUrl,
+              localStorage: Object.entries(storageState.localStorage).map(([name, value]) => ({ name, value }))
+            }] : []
+          };
+        } else {
+          log(`⚠ Stored session not usable (${validity.reason}), a new login is needed`);
         }
       }
 
       this.context = await this.browser.newContext(contextOptions);
+      await this.setupContext();
+    } catch (error) {
+      log(`❌ Browser context error: ${error.message}`);
+      throw error;
+    }
+  }
 
-      await this.context.setExtraHTTPHeaders({
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none',
-        'Sec-Fetch-User': '?1',
-        'Cache-Control': 'max-age=0',
-      });
+  /**
+   * Routes, tracing, headers and listeners of a freshly opened context, and its page
+   */
+  async setupContext() {
+    if (this.replayer) {
+      await this.replayer.attach(this.context);
+    }
+
+    await this.artifacts.startTracing(this.context);
+
+    await this.context.setExtraHTTPHeaders({
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'DNT': '1',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+      'Sec-Fetch-Dest': 'document',
+      'Sec-Fetch-Mode': 'navigate',
+      'Sec-Fetch-Site': 'none',
+      'Sec-Fetch-User': '?1',
+      'Cache-Control': 'max-age=0',
+    });
+
+    await this.context.setGeolocation({ latitude: 40.7128, longitude: -74.0060 });
+
+    // A persistent context opens with a blank page already
+    this.page = this.context.pages()[0] || await this.context.newPage();
+    this.page.setDefaultTimeout(config.navigationTimeout);
+
+    // Listen for story media JSON for the whole session: the viewer fetches it before extraction starts
+    this.page.on('response', (response) => this.handleStoryMediaResponse(response));
+    this.page.on('response', (response) => {
+      if (response.status() === 429 && response.url().includes('instagram.com')) {
+        this.rateLimitedAt = Date.now();
+      }
+    });
 
-      await this.context.setGeolocation({ latitude: 40.7128, longitude: -74.0060 });
+    if (this.recorder) {
+      this.recorder.attach(this.page);
+    }
 
-      this.page = await this.context.newPage();
-      this.page.setDefaultTimeout(config.navigationTimeout);
+    log(`Browser context ready for @${this.account.username}`);
+  }
 
-      log('Browser initialized');
+  /**
+   * Close the current browser context (the trace since the last failure is discarded)
+   */
+  async closeContext() {
+    if (!this.context) return;
+    await this.mediaJobs.join();
+    try {
+      await this.artifacts.stopTracing(this.context);
+      await this.context.close();
     } catch (error) {
-      log(`❌ Browser initialization error: ${error.message}`);
-      throw error;
+      log(`⚠ Browser context close error: ${error.message}`);
     }
+    this.context = null;
+    this.page = null;
   }
 
   /**
@@ -113,24 +308,16 @@ export class InstagramScraper {
       console.log(`[DEBUG] FORCE_MANUAL_LOGIN = ${config.forceManualLogin}`);
       log(`Navigating to ${config.instagramUrl}...`);
 
-      let loaded = false;
-      for (let i = 0; i < 3; i++) {
-        try {
-          console.log(`[DEBUG] Loading Instagram, attempt ${i + 1}`);
-          await this.page.goto(config.instagramUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-          loaded = true;
-          console.log(`[DEBUG] Page loaded successfully`);
-          break;
-        } catch (e) {
-          log(`⚠ Attempt ${i + 1} failed: ${e.message}`);
-          if (i < 2) await this.page.waitForTimeout(2000);
-        }
+      try {
+        await this.navigate(config.instagramUrl);
+        console.log(`[DEBUG] Page loaded successfully`);
+      } catch (e) {
+        throw new Error(`Failed to load Instagram: ${e.message}`);
       }
 
-      if (!loaded) throw new Error('Failed to load Instagram after 3 attempts');
-
       console.log('[DEBUG] Waiting for page to render...');
-      await this.page.waitForTimeout(2000);
+      await this.pacer.pause('pageLoad');
+      await this.recordState('login');
 
       console.log('[DEBUG] Checking for login form...');
       const loginFormExists = await this.page.locator('input[name="email"]').count() > 0;
@@ -142,21 +329,29 @@ export class InstagramScraper {
       const hasContinueButton = await continueButton.isVisible({ timeout: 2000 }).catch(() => false);
       console.log(`[DEBUG] Has Continue button: ${hasContinueButton}`);
 
-      // Already logged in (no login form, no continue button)
+      // Looks logged in (no login form, no continue button): make sure the session wasn't revoked
       if (!loginFormExists && !hasContinueButton) {
-        log('✓ Already logged in (active session)');
-        this.isLoggedIn = true;
-        return true;
+        if (await this.verifySession() !== false) {
+          log('✓ Already logged in (active session)');
+          this.isLoggedIn = true;
+          return true;
+        }
+
+        log('⚠ Stored session is no longer logged in, logging in again');
+        await this.context.clearCookies();
+        await this.navigate(`${config.instagramUrl}/accounts/login/`);
+        await this.pacer.pause('pageLoad');
       }
 
       // Handle "Continue" button scenario
       if (hasContinueButton) {
         log('Continue button found - session needs password confirmation');
+        await this.pacer.act('click');
         await continueButton.click();
         log('Clicked Continue button');
 
         // Wait for password modal
-        await this.page.waitForTimeout(1500);
+        await this.pacer.pause('modal');
 
         // Check for password input in modal
         const passwordInput = this.page.locator('input[name="password"], input[type="password"], input[name="pass"]');
@@ -166,17 +361,22 @@ export class InstagramScraper {
           console.log('[DEBUG] Password input found in modal, filling password...');
           log('Entering password for session confirmation...');
 
-          await passwordInput.fill(config.igPassword);
+          await passwordInput.fill(this.account.password);
           console.log('[DEBUG] Password filled');
 
-          await this.page.waitForTimeout(500);
+          await this.pacer.pause('typing');
 
           // Press Enter to submit
+          await this.pacer.act('submit');
           await this.page.keyboard.press('Enter');
           log('Submitted password');
 
           // Wait for navigation
-          await this.page.waitForTimeout(3000);
+          await this.pacer.pause('submit');
+
+          if (isVerificationUrl(this.page.url())) {
+            await this.handleVerification(onLoginReady);
+          }
 
           // Check if we're now logged in
           const currentUrl = this.page.url();
@@ -225,20 +425,21 @@ export class InstagramScraper {
         log('Auto-filling login form...');
 
         // Fill username
-        await this.page.fill('input[name="email"]', config.igUsername);
+        await this.page.fill('input[name="email"]', this.account.username);
         console.log('[DEBUG] Username filled');
 
         // Fill password
-        await this.page.fill('input[name="pass"]', config.igPassword);
+        await this.page.fill('input[name="pass"]', this.account.password);
         console.log('[DEBUG] Password filled');
 
         // Click login button
-        await this.page.waitForTimeout(2000);
+        await this.pacer.pause('typing');
+        await this.pacer.act('submit');
         await this.page.keyboard.press('Enter');
         log('Logging in...');
 
         // Wait for navigation
-        await this.page.waitForTimeout(3000);
+        await this.pacer.pause('submit');
 
         // Check for login error
         const errorText = await this.page.locator('p[id*=""]').filter({ hasText: /Sorry|password|incorrect|error/i }).first().textContent().catch(() => null);
@@ -250,34 +451,22 @@ export class InstagramScraper {
         const currentUrl = this.page.url();
         console.log(`[DEBUG] Current URL after login: ${currentUrl}`);
 
-        if (currentUrl.includes('challenge') || currentUrl.includes('two_factor')) {
-          log('');
-          log('════════════════════════════════════════════════════════════');
-          log('  2FA/CHALLENGE VERIFICATION REQUIRED');
-          log('════════════════════════════════════════════════════════════');
-          log('');
-          log('Complete the verification (SMS, Email, etc.) in the browser');
-          log('Then press ENTER to continue');
-          log('');
-          log('════════════════════════════════════════════════════════════');
-          log('');
-
-          console.log('\n⏳⏳⏳ WAITING FOR YOUR ENTER - Press ENTER after verification ⏳⏳⏳\n');
-
-          await onLoginReady();
-          log('✓ Verification completed');
+        if (isVerificationUrl(currentUrl)) {
+          await this.handleVerification(onLoginReady);
         }
       }
 
       // Handle popups (both modes)
       const saveInfoButton = this.page.getByText('Save info').or(this.page.getByText('Save your login'));
       if (await saveInfoButton.isVisible({ timeout: 3000 }).catch(() => false)) {
+        await this.pacer.act('click');
         await saveInfoButton.click();
         log('Skipped save info');
       }
 
       const notifButton = this.page.getByText('Turn On').or(this.page.getByText('Not Now'));
       if (await notifButton.isVisible({ timeout: 3000 }).catch(() => false)) {
+        await this.pacer.act('click');
         await notifButton.click();
         log('Skipped notifications');
       }
@@ -287,52 +476,427 @@ export class InstagramScraper {
       log('✓ Login successful!');
       log('');
 
-      await this.sessionManager.saveSession(this.context, this.page);
+      // A browser profile saves itself
+      if (!this.usesProfile()) {
+        await this.sessionManager.saveSession(this.context, this.page);
+      }
       return true;
     } catch (error) {
       log(`❌ Login error: ${error.message}`);
       this.isLoggedIn = false;
 
-      await sendErrorNotification('Instagram Login Failed', error.message, { step: 'Login', username: config.igUsername });
+      // Running out of our own budget is not a login failure worth alerting about
+      if (error instanceof PacingBudgetError) throw error;
+
+      await this.captureFailure('login', error);
+
+      if (error instanceof VerificationRequiredError) {
+        await sendErrorNotification('Instagram Verification Required', error.message, {
+          step: 'Login verification',
+          username: this.account.username,
+          login_account: this.account.username,
+          challenge_type: error.challengeType,
+          challenge_url: error.url,
+          action: 'Complete the verification in a browser (or run interactively), then rerun the scraper',
+          artifacts: error.artifacts || null,
+        });
+        error.notified = true;
+        throw error;
+      }
+
+      await sendErrorNotification('Instagram Login Failed', error.message, {
+        step: 'Login',
+        username: this.account.username,
+        login_account: this.account.username,
+        artifacts: error.artifacts || null,
+      });
+      error.notified = true;
       throw error;
     }
   }
 
+  /**
+   * Ask the web API who is logged in, to catch sessions revoked server-side
+   * Returns true (logged in as the scraping account), false (logged out or another account) or null (probe failed)
+   */
+  async verifySession() {
+    // Recordings don't contain the probe request
+    if (this.replayer) return true;
+    // Its answer carries the account's email, phone and birthday: keep it out of recordings
+    if (this.recorder) return null;
+
+    try {
+      await this.pacer.act('session_probe');
+      const result = await this.page.evaluate(async ({ url, appId }) => {
+        const response = await fetch(url, {
+          credentials: 'include',
+          headers: { 'X-IG-App-ID': appId, 'X-Requested-With': 'XMLHttpRequest' },
+        });
+        let username = null;
+        try {
+          username = (await response.json())?.user?.username || null;
+        } catch {
+          // Logged-out answers are HTML redirects
+        }
+        return { status: response.status, redirected: response.redirected, url: response.url, username };
+      }, { url: `${config.instagramUrl}/api/v1/accounts/current_user/?edit=true`, appId: IG_WEB_APP_ID });
+      console.log(`[DEBUG] Session probe: HTTP ${result.status}, user ${result.username || 'none'}`);
+
+      if (result.status === 401 || result.status === 403 || classifyUrl(result.url)) return false;
+      if (result.status === 200 && result.username) {
+        if (!sameUser(result.username, this.account.username)) {
+          log(`⚠ Session belongs to @${result.username}, not @${this.account.username}`);
+          return false;
+        }
+        return true;
+      }
+      return result.status === 200 ? false : null;
+    } catch (error) {
+      if (error instanceof PacingBudgetError) throw error;
+      log(`⚠ Session probe failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save the current session (cookies refreshed during the run) for the next run
+   * Browser profiles are written by Chromium itself when the context closes
+   */
+  async refreshSession() {
+    if (this.replayer || this.usesProfile() || !this.isLoggedIn || !this.context) return;
+    await this.sessionManager.saveSession(this.context, this.page);
+  }
+
+  /**
+   * Get past a two-factor or checkpoint page after submitting the credentials
+   * Authentication-app 2FA is solved with the account's TOTP secret; anything else needs a human:
+   * interactive runs wait for ENTER, unattended runs wait up to challengeTimeout for it to be solved elsewhere
+   */
+  async handleVerification(onLoginReady) {
+    const isTwoFactor = this.page.url().includes('two_factor');
+    const challengeType = isTwoFactor ? 'two_factor' : 'checkpoint';
+    log(`Verification required (${challengeType})`);
+
+    if (isTwoFactor && this.account.totpSecret) {
+      if (await this.submitTotpCode()) return;
+      log('⚠ 2FA with TOTP failed, the account may use SMS codes instead of an authentication app');
+    }
+
+    if (config.interactive) {
+      log('');
+      log('════════════════════════════════════════════════════════════');
+      log('  2FA/CHALLENGE VERIFICATION REQUIRED');
+      log('════════════════════════════════════════════════════════════');
+      log('');
+      log('Complete the verification (SMS, Email, etc.) in the browser');
+      log('Then press ENTER to continue');
+      log('');
+      log('════════════════════════════════════════════════════════════');
+      log('');
+
+      console.log('\n⏳⏳⏳ WAITING FOR YOUR ENTER - Press ENTER after verification ⏳⏳⏳\n');
+
+      await onLoginReady();
+      log('✓ Verification completed');
+      return;
+    }
+
+    // Unattended: a checkpoint approved from the app ("This was me") lets the page move on by itself
+    const seconds = Math.round(config.challengeTimeout / 1000);
+    log(`⏳ Non-interactive run: waiting up to ${seconds}s for the ${challengeType} verification to be completed...`);
+    const solved = await this.page
+      .waitForURL(url => !isVerificationUrl(url.href), { timeout: config.challengeTimeout })
+      .then(() => true)
+      .catch(() => false);
+
+    if (!solved) {
+      throw new VerificationRequiredError(
+        challengeType,
+        this.page.url(),
+        `Login blocked by a ${challengeType} verification not completed within ${seconds}s`
+      );
+    }
+    log('✓ Verification completed');
+  }
+
+  /**
+   * Fill the 2FA form with a TOTP code generated from the account's secret
+   * A rejected code is retried once with the next time step (clock drift, code rotating while submitted)
+   */
+  async submitTotpCode() {
+    const codeInput = this.page.locator('input[name="verificationCode"], input[name="approvals_code"], input[autocomplete="one-time-code"]').first();
+    if (!await codeInput.isVisible({ timeout: 5000 }).catch(() => false)) {
+      log('⚠ 2FA code input not found');
+      return false;
+    }
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      // Don't submit a code that rotates before Instagram checks it
+      if (attempt > 1 || totpRemainingMs() < 5000) {
+        await new Promise(resolve => setTimeout(resolve, totpRemainingMs() + 500));
+      }
+
+      log(`Submitting 2FA code (attempt ${attempt}/2)...`);
+      await codeInput.fill(generateTotp(this.account.totpSecret));
+      await this.pacer.pause('typing');
+      await this.pacer.act('submit');
+      await this.page.keyboard.press('Enter');
+
+      const accepted = await this.page
+        .waitForURL(url => !url.href.includes('two_factor'), { timeout: 15000 })
+        .then(() => true)
+        .catch(() => false);
+      if (accepted) {
+        log('✓ 2FA code accepted');
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Save failure artifacts for the current page and remember their directory on the error
+   */
+  async captureFailure(step, error, target = null) {
+    const captured = await this.artifacts.capture(this.page, step, error, target);
+    if (captured && error && !error.artifacts) {
+      error.artifacts = captured.dir;
+    }
+    return captured;
+  }
+
+  /**
+   * Navigate with the navigation retry policy
+   * Network errors, timeouts and 5xx pages are retried; other statuses are returned for the caller to classify
+   */
+  async navigate(url) {
+    // Media downloaded through the page would be aborted by the navigation
+    if (downloadsThroughPage()) {
+      await this.mediaJobs.join();
+    }
+
+    return withRetry('navigation', async (attempt) => {
+      console.log(`[DEBUG] Loading ${url}, attempt ${attempt}`);
+      await this.pacer.act('navigation');
+      const response = await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.navigationTimeout });
+      if (response && response.status() >= 500) {
+        throw new HttpError(response.status(), `HTTP ${response.status()} loading ${url}`);
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Save the current DOM state when recording (no-op otherwise)
+   */
+  async recordState(label) {
+    if (this.recorder) {
+      await this.recorder.snapshot(this.page, label);
+    }
+  }
+
+  /**
+   * Collect story items from intercepted reels/stories media JSON responses
+   */
+  async handleStoryMediaResponse(response) {
+    const url = response.url();
+    if (!isStoryMediaResponse(url)) return;
+
+    try {
+      const contentType = response.headers()['content-type'] || '';
+      if (!contentType.includes('json') && !contentType.includes('javascript')) return;
+
+      const payloads = parseResponseBody(await response.text());
+      let found = 0;
+      for (const payload of payloads) {
+        for (const item of extractStoryItems(payload)) {
+          this.storyMediaItems.set(item.pk, item);
+          found++;
+        }
+        for (const tray of extractHighlightTrays(payload)) {
+          if (!this.highlightTrays.has(tray.id) || tray.title) {
+            this.highlightTrays.set(tray.id, tray);
+          }
+        }
+      }
+
+      if (found > 0) {
+        console.log(`[NETWORK] 📦 Captured ${found} story items from media JSON`);
+      }
+    } catch (e) {
+      // Body not available (redirect, page closed) - DOM fallback will handle it
+    }
+  }
+
+  /**
+   * Build a story object from a parsed media JSON item
+   * Video stories go through the same download pipeline as the DOM path
+   */
+  buildStoryFromMediaItem(item, content, username) {
+    const story = {
+      ig_pk: item.pk,
+      username,
+      // The DOM caption is a guess (any short text over the story): only trust the JSON one
+      caption: item.caption || null,
+      media_type: item.media_type,
+      is_video: item.is_video,
+      taken_at: item.taken_at,
+      expires_at: item.expiring_at,
+      media_url: null,
+      thumbnail_url: item.best_image?.url || content.posterUrl || null,
+      permalink: `${config.instagramUrl}/stories/${username}/${item.pk}/`,
+      story_link: item.stickers.links[0]?.url || content.link,
+      stickers: item.stickers,
+      width: item.original_width,
+      height: item.original_height,
+      video_versions: item.video_versions,
+      image_versions: item.image_candidates,
+      source: 'json',
+    };
+
+    if (item.is_video && item.best_video) {
+      // DASH renditions are video-only/audio-only tracks to merge; video_versions are progressive MP4s with audio muxed in
+      const selection = selectVideoRenditions(item.raw, config.videoQualityCap);
+      const videoUrl = selection?.video.url || item.best_video.url;
+      const audioUrl = selection?.audio?.url || null;
+      console.log(`[DEBUG] Queueing video for story ${item.pk} (from media JSON, ${selection?.source || 'progressive'})...`);
+
+      // A DASH video track has no audio: fall back to the progressive MP4 when the merge failed
+      const fallbackUrl = selection?.source === 'dash' ? item.best_video.url : videoUrl;
+      this.queueVideo(story, videoUrl, audioUrl, fallbackUrl);
+      story.video_rendition = describeRenditions(selection);
+    } else if (item.best_image) {
+      this.queueImage(story, item.best_image.url);
+    }
+
+    return story;
+  }
+
+  /**
+   * Queue the download (and audio merge) of a video story to serve it locally
+   * The story keeps `fallbackUrl` as media_url until the job succeeds, and for good if it fails
+   */
+  queueVideo(story, videoUrl, audioUrl, fallbackUrl = videoUrl) {
+    Object.assign(story, {
+      media_url: fallbackUrl,
+      original_video_url: videoUrl,
+      original_audio_url: audioUrl,
+      local_video_id: null,
+    });
+
+    this.mediaJobs.add(`video ${story.ig_pk}`, async () => {
+      const processResult = await processStory(videoUrl, audioUrl, this.page);
+      if (!processResult.success) throw processResult.cause;
+      return processResult;
+    }).then((processResult) => {
+      story.media_url = `${SERVER_URL}${processResult.url}`;
+      story.local_video_id = processResult.videoId;
+      story.media_checksum = { sha256: processResult.sha256, size: processResult.size };
+      console.log(`[DEBUG] ✓ Video processed: ${processResult.videoId} (story ${story.ig_pk})`);
+    }, () => {
+      console.log(`[DEBUG] ⚠ Video processing failed for story ${story.ig_pk}, using original URL`);
+    });
+  }
+
+  /**
+   * Queue the download of an image story to serve it locally, keeping the CDN URL as fallback
+   */
+  queueImage(story, imageUrl) {
+    Object.assign(story, {
+      media_url: imageUrl,
+      original_image_url: imageUrl,
+      local_image_id: null,
+    });
+
+    this.mediaJobs.add(`image ${story.ig_pk}`, async () => {
+      const processResult = await processImageStory(imageUrl, this.page);
+      if (!processResult.success) throw processResult.cause;
+      return processResult;
+    }).then((processResult) => {
+      story.media_url = `${SERVER_URL}${processResult.url}`;
+      story.local_image_id = processResult.imageId;
+      story.media_checksum = { sha256: processResult.sha256, size: processResult.size };
+      console.log(`[DEBUG] ✓ Image processed: ${processResult.imageId} (story ${story.ig_pk})`);
+    }, () => {
+      console.log(`[DEBUG] ⚠ Image processing failed for story ${story.ig_pk}, using original URL`);
+    });
+  }
+
+  /**
+   * Detect why a profile can't be scraped, from the strongest signal to the weakest:
+   * HTTP status, redirect URL, 429s seen during load, login form, then page text
+   * Returns null when the profile looks fine
+   */
+  async detectProfileStatus(response, navigationStart, hasHeader) {
+    const status = classifyHttpStatus(response?.status()) || classifyUrl(this.page.url());
+    if (status) return status;
+
+    if (this.rateLimitedAt >= navigationStart) return TargetStatus.RATE_LIMITED;
+
+    const loginForm = await this.page.locator('input[name="password"], input[name="pass"]').count() > 0;
+    if (loginForm) return TargetStatus.LOGIN_REQUIRED;
+
+    const text = await this.page.locator('body').innerText().catch(() => '');
+    // With a profile header the page includes the user's bio: only trust the profile-level notices
+    return hasHeader
+      ? classifyPageText(text, [TargetStatus.PRIVATE, TargetStatus.RESTRICTED])
+      : classifyPageText(text);
+  }
+
   /**
    * Navigate to target user's profile
+   * Switching to a different target resets the seen story IDs
+   * Throws a TargetStatusError when the profile can't be scraped (private, not found, ...)
    */
-  async goToUserProfile() {
+  async goToUserProfile(username = config.igTargetUsername) {
+    if (this.currentTarget !== username) {
+      this.currentTarget = username;
+      this.seenPks = new Set();
+      this.storyMediaItems.clear();
+      this.highlightTrays.clear();
+    }
+
+    if (this.recorder) {
+      this.recorder.addTarget(username);
+    }
+
     try {
-      const profileUrl = `${config.instagramUrl}/${config.igTargetUsername}/`;
-      log(`Navigating to profile: @${config.igTargetUsername}`);
+      const profileUrl = `${config.instagramUrl}/${username}/`;
+      log(`Navigating to profile: @${username}`);
       console.log(`[DEBUG] Loading profile: ${profileUrl}`);
 
-      await this.page.goto(profileUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-      console.log('[DEBUG] Profile page loaded');
+      const navigationStart = Date.now();
+      const response = await this.navigate(profileUrl);
+      console.log(`[DEBUG] Profile page loaded (HTTP ${response?.status()})`);
 
-      await this.page.waitForTimeout(2000);
+      await this.pacer.pause('pageLoad');
 
       console.log('[DEBUG] Waiting for profile header...');
+      let hasHeader = true;
       try {
         await this.page.waitForSelector('header section', { timeout: 10000 });
         console.log('[DEBUG] Profile header found');
       } catch (e) {
-        const headerExists = await this.page.locator('header').count() > 0;
-        if (!headerExists) throw new Error('Profile header not found');
+        hasHeader = await this.page.locator('header').count() > 0;
       }
+      await this.recordState('profile');
 
-      console.log('[DEBUG] Checking if profile is private or not found...');
-      const isPrivate = await this.page.getByText('This Account is Private').count() > 0;
-      const notFound = await this.page.getByText(/Sorry|not found|page isn't available/i).count() > 0;
-      console.log(`[DEBUG] isPrivate=${isPrivate}, notFound=${notFound}`);
+      console.log('[DEBUG] Checking profile status...');
+      const status = await this.detectProfileStatus(response, navigationStart, hasHeader);
+      console.log(`[DEBUG] Profile status: ${status || TargetStatus.OK}`);
 
-      if (notFound) throw new Error(`Profile @${config.igTargetUsername} not found`);
-      if (isPrivate) throw new Error(`Profile @${config.igTargetUsername} is private`);
+      if (status) throw new TargetStatusError(status, describeStatus(status, username));
+      if (!hasHeader) throw new Error('Profile header not found');
 
-      log(`✓ Profile @${config.igTargetUsername} loaded`);
+      log(`✓ Profile @${username} loaded`);
       return true;
     } catch (error) {
       log(`❌ Profile navigation error: ${error.message}`);
+      // Private, missing or restricted profiles are expected outcomes, not breakages
+      if (!(error instanceof TargetStatusError) || shouldNotify(error.status)) {
+        await this.captureFailure('profile', error, username);
+      }
       throw error;
     }
   }
@@ -349,10 +913,12 @@ export class InstagramScraper {
         log('✓ Active stories detected');
 
         const storyCanvas = this.page.locator('header section canvas').first();
+        await this.pacer.act('click');
         await storyCanvas.click();
         log('Story opened (clicked on canvas)');
 
-        await this.page.waitForTimeout(2000);
+        await this.pacer.pause('pageLoad');
+        await this.recordState('viewer');
 
         const currentUrl = this.page.url();
         console.log(`[DEBUG] URL after clicking story: ${currentUrl}`);
@@ -364,8 +930,9 @@ export class InstagramScraper {
           console.log('[DEBUG] NOT in story viewer - trying alternative click...');
           // Try clicking the profile image itself
           const profileImg = this.page.locator('header section img').first();
+          await this.pacer.act('click');
           await profileImg.click();
-          await this.page.waitForTimeout(1500);
+          await this.pacer.pause('pageLoad');
         }
 
         return true;
@@ -374,7 +941,9 @@ export class InstagramScraper {
       log('No active stories found');
       return false;
     } catch (error) {
+      if (error instanceof PacingBudgetError) throw error;
       log(`⚠ Story check error: ${error.message}`);
+      await this.captureFailure('story-ring', error, this.currentTarget);
       return false;
     }
   }
@@ -390,7 +959,7 @@ export class InstagramScraper {
 
       console.log('[DEBUG] Closing story viewer...');
       await this.page.keyboard.press('Escape');
-      await this.page.waitForTimeout(1000);
+      await this.pacer.pause('modal');
 
       return storyData;
     } catch (error) {
@@ -399,11 +968,178 @@ export class InstagramScraper {
     }
   }
 
+  /**
+   * List the highlight trays of the current profile
+   * Uses the highlights JSON fetched with the profile, with the tray links in the DOM as fallback
+   */
+  async getHighlights() {
+    try {
+      // Give the profile's highlights query a moment to land
+      await this.pacer.pause('pageLoad');
+
+      const anchors = await this.page.evaluate(() => {
+        return Array.from(document.querySelectorAll('a[href*="/stories/highlights/"]')).map(a => ({
+          href: a.href,
+          title: a.textContent?.trim() || null,
+        }));
+      });
+
+      for (const { href, title } of anchors) {
+        const match = href.match(/\/stories\/highlights\/(\d+)/);
+        if (match && !this.highlightTrays.has(match[1])) {
+          this.highlightTrays.set(match[1], { id: match[1], title, media_count: null });
+        }
+      }
+
+      const highlights = Array.from(this.highlightTrays.values());
+      log(`✓ Found ${highlights.length} highlights`);
+      return highlights;
+    } catch (error) {
+      log(`⚠ Highlights lookup error: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Wait for the media JSON of a highlight reel to be captured
+   */
+  async waitForHighlightItems(highlightId, timeout = config.storyLoadTimeout) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      const items = Array.from(this.storyMediaItems.values()).filter(i => i.highlight_id === highlightId);
+      if (items.length > 0) return items;
+      await this.pacer.pause('poll');
+    }
+    return [];
+  }
+
+  /**
+   * Ask the web API for a highlight reel when the viewer didn't fetch it
+   * The response goes through the page, so handleStoryMediaResponse captures it
+   */
+  async fetchHighlightReel(highlightId) {
+    try {
+      const url = `${config.instagramUrl}/api/v1/feed/reels_media/?reel_ids=highlight:${highlightId}`;
+      const status = await this.page.evaluate(async ({ url, appId }) => {
+        const response = await fetch(url, {
+          credentials: 'include',
+          headers: { 'X-IG-App-ID': appId, 'X-Requested-With': 'XMLHttpRequest' },
+        });
+        return response.status;
+      }, { url, appId: IG_WEB_APP_ID });
+      console.log(`[DEBUG] Highlight reel API request: HTTP ${status}`);
+    } catch (e) {
+      console.log(`[DEBUG] Highlight reel API request failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Extract the items of every highlight of the current profile
+   * Items already in the highlights tracker are skipped before downloading
+   */
+  async extractHighlights() {
+    const username = this.currentTarget || config.igTargetUsername;
+    const stories = [];
+
+    try {
+      log('Extracting highlights...');
+
+      const tracker = new StoryTracker(username, 'highlights');
+      const seenIds = await tracker.getProcessedIds();
+      console.log(`[DEBUG] Loaded ${seenIds.size} previously seen highlight item IDs`);
+
+      const highlights = await this.getHighlights();
+
+      for (const highlight of highlights) {
+        const highlightUrl = `${config.instagramUrl}/stories/highlights/${highlight.id}/`;
+        log(`Opening highlight "${highlight.title || highlight.id}"`);
+
+        try {
+          await this.navigate(highlightUrl);
+
+          // Direct story links may show a "View story" interstitial
+          const viewButton = this.page.getByRole('button', { name: /View story/i });
+          if (await viewButton.isVisible({ timeout: 2000 }).catch(() => false)) {
+            await this.pacer.act('click');
+            await viewButton.click();
+          }
+
+          let items = await this.waitForHighlightItems(highlight.id, 5000);
+          if (items.length === 0) {
+            await this.fetchHighlightReel(highlight.id);
+            items = await this.waitForHighlightItems(highlight.id, 5000);
+          }
+          await this.recordState('highlight');
+
+          if (items.length === 0) {
+            log(`⚠ No items captured for highlight ${highlight.id}`);
+            continue;
+          }
+
+          let added = 0;
+          for (const item of items) {
+            if (seenIds.has(item.pk) || (!item.best_video && !item.best_image)) continue;
+            seenIds.add(item.pk);
+
+            const story = this.buildStoryFromMediaItem(
+              item,
+              { caption: null, link: null, posterUrl: null },
+              username
+            );
+            story.is_highlight = true;
+            story.highlight_id = highlight.id;
+            story.highlight_title = item.highlight_title || highlight.title;
+            story.permalink = highlightUrl;
+            // Highlight items are kept on the profile, they don't expire
+            story.expires_at = null;
+
+            stories.push(story);
+            added++;
+          }
+
+          log(`✓ Highlight "${highlight.title || highlight.id}": ${added} new items (${items.length} total)`);
+        } catch (error) {
+          if (error instanceof PacingBudgetError) {
+            log(`⚠ Stopping highlights: ${error.message}`);
+            break;
+          }
+          log(`⚠ Highlight ${highlight.id} error: ${error.message}`);
+          await this.captureFailure(`highlight-${highlight.id}`, error, username);
+        }
+      }
+
+      await this.page.keyboard.press('Escape').catch(() => {});
+
+      // Join the media jobs: the items get their local files (or keep the CDN URLs)
+      await this.mediaJobs.join();
+
+      log(`✓ Extracted ${stories.length} new highlight items`);
+      return stories;
+    } catch (error) {
+      await this.mediaJobs.join();
+      log(`❌ Highlights extraction error: ${error.message}`);
+      if (!(error instanceof PacingBudgetError)) {
+        await this.captureFailure('highlights', error, username);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Extract story data by navigating through all stories
    * Captures network requests to get real video URLs
    */
   async extractStoryDataFromPage() {
+    const username = this.currentTarget || config.igTargetUsername;
+    let onRequest = null;
+
+    // Why the walk stopped: end_of_tray, no_media, user_boundary, viewer_closed, viewer_not_open, navigation_error, budget_exhausted, error
+    const endTray = (reason, detail = null) => {
+      this.lastTrayEnd = { reason, detail };
+      log(`Story tray ended: ${reason}${detail ? ` (${detail})` : ''}`);
+    };
+    this.lastTrayEnd = null;
+
     try {
       console.log('[DEBUG] Extracting ALL stories with network interception...');
 
@@ -414,6 +1150,7 @@ export class InstagramScraper {
       if (!isStoryViewer) {
         console.log('[DEBUG] NOT in story viewer mode!');
         log('⚠ Story viewer not detected');
+        endTray('viewer_not_open');
         return [];
       }
 
@@ -423,10 +1160,11 @@ export class InstagramScraper {
       const currentStoryMedia = { video: null, audio: null }; // Current story's media
       let storyIndex = 0;
       let noContentCount = 0;
+      let noContentReason = 'end_of_tray';
       let lastUrl = '';
 
       // ── Intercept network requests for media URLs ────────────────────────────────
-      this.page.on('request', (req) => {
+      onRequest = (req) => {
         const url = req.url();
 
         // Capture Instagram CDN media requests
@@ -452,12 +1190,13 @@ export class InstagramScraper {
             }
           }
         }
-      });
+      };
+      this.page.on('request', onRequest);
 
       // Load previously seen story IDs from tracker
       if (this.seenPks.size === 0) {
         console.log('[DEBUG] Loading seen story IDs from tracker...');
-        const tracker = new StoryTracker(config.igTargetUsername);
+        const tracker = new StoryTracker(username);
         this.seenPks = await tracker.getProcessedIds();
         console.log(`[DEBUG] Loaded ${this.seenPks.size} previously seen story IDs`);
       }
@@ -465,7 +1204,8 @@ export class InstagramScraper {
       while (noContentCount < 3) {
         console.log(`[DEBUG] ===== Story ${storyIndex + 1} =====`);
 
-        await this.page.waitForTimeout(1500);
+        await this.pacer.pause('storyView');
+        await this.recordState('story');
 
         const currentUrl2 = this.page.url();
         console.log(`[DEBUG] Current URL: ${currentUrl2}`);
@@ -473,14 +1213,27 @@ export class InstagramScraper {
         if (currentUrl2 === lastUrl && storyIndex > 0) {
           console.log('[DEBUG] URL unchanged, likely at end of stories');
           noContentCount++;
+          noContentReason = 'end_of_tray';
         } else {
           lastUrl = currentUrl2;
           noContentCount = 0;
         }
 
+        // Instagram closes the viewer (back to profile/feed) at the end of some trays
+        const storyUrl = parseStoryUrl(currentUrl2);
+        if (!storyUrl) {
+          endTray('viewer_closed', currentUrl2);
+          break;
+        }
+
+        // At the end of the tray Instagram moves on to the next account's stories
+        if (storyUrl.username !== 'highlights' && !sameUser(storyUrl.username, username)) {
+          endTray('user_boundary', `viewer moved to @${storyUrl.username}`);
+          break;
+        }
+
         // Extract story ID from URL
-        const urlMatch = currentUrl2.match(/stories\/[^/]+\/(\d+)/);
-        const storyPk = urlMatch ? urlMatch[1] : null;
+        const storyPk = storyUrl.pk;
         console.log(`[DEBUG] Story PK from URL: ${storyPk}`);
 
         // Check if this story was already processed
@@ -491,10 +1244,12 @@ export class InstagramScraper {
           // Go to next story
           if (noContentCount < 3) {
             try {
+              await this.pacer.act('next_story');
               await this.page.keyboard.press('ArrowRight');
-              await this.page.waitForTimeout(600);
+              await this.pacer.pause('nextStory');
             } catch (e) {
               console.log('[DEBUG] Navigation error:', e.message);
+              endTray(e instanceof PacingBudgetError ? 'budget_exhausted' : 'navigation_error', e.message);
               break;
             }
           }
@@ -507,13 +1262,18 @@ export class InstagramScraper {
             isVideo: false,
             caption: null,
             link: null,
+            anchors: [],
             posterUrl: null,
+            imageUrl: null,
+            viewerUsername: null,
           };
+          let mediaElement = null;
 
           // Check for video
           const videos = Array.from(document.querySelectorAll('video'));
           for (const v of videos) {
             if (v.src && v.offsetParent !== null) {
+              mediaElement = v;
               result.isVideo = true;
               result.posterUrl = v.poster;
               console.log('[EVAL] Found visible video');
@@ -521,6 +1281,33 @@ export class InstagramScraper {
             }
           }
 
+          // Get the story image: the largest visible image (avatars are tiny)
+          if (!result.isVideo) {
+            let bestArea = 0;
+            for (const img of Array.from(document.querySelectorAll('img'))) {
+              const rect = img.getBoundingClientRect();
+              const area = rect.width * rect.height;
+              const src = img.currentSrc || img.src;
+              if (src && !src.startsWith('blob:') && img.offsetParent !== null && area > bestArea) {
+                bestArea = area;
+                mediaElement = img;
+                result.imageUrl = src;
+              }
+            }
+          }
+
+          // Get the username in the header of the active story card:
+          // climb from the visible media to the nearest profile link labelled with its username
+          for (let node = mediaElement?.parentElement, depth = 0; node && depth < 12 && !result.viewerUsername; node = node.parentElement, depth++) {
+            for (const a of Array.from(node.querySelectorAll('a[href]'))) {
+              const match = a.getAttribute('href').match(/^\/([A-Za-z0-9._]+)\/?$/);
+              if (match && a.textContent?.trim() === match[1]) {
+                result.viewerUsername = match[1];
+                break;
+              }
+            }
+          }
+
           // Get caption
           const spans = Array.from(document.querySelectorAll('span'));
           for (const s of spans) {
@@ -534,14 +1321,15 @@ export class InstagramScraper {
             }
           }
 
-          // Get links
+          // Get links (all anchors are kept for sticker extraction)
           const links = Array.from(document.querySelectorAll('a[href]'));
           for (const a of links) {
             const href = a.href;
-            if (href && !href.includes('instagram.com') && !href.startsWith('#')) {
+            if (!href || href.startsWith('#')) continue;
+            result.anchors.push({ href, text: a.textContent || '' });
+            if (!result.link && !href.includes('instagram.com')) {
               result.link = href;
               console.log('[EVAL] Found link:', href);
-              break;
             }
           }
 
@@ -556,81 +1344,90 @@ export class InstagramScraper {
         currentStoryMedia.video = null;
         currentStoryMedia.audio = null;
 
-        if (videoUrl && storyPk && content.isVideo) {
-          if (!this.seenPks.has(storyPk)) {
-            this.seenPks.add(storyPk);
-
-            // Process video: download video+audio, combine them, save locally
-            console.log(`[DEBUG] Processing video for story ${storyPk}...`);
-            const processResult = await processStory(videoUrl, audioUrl, this.page);
+        // Prefer the media JSON; the DOM/network guessing below is only a fallback
+        const mediaItem = storyPk ? this.storyMediaItems.get(storyPk) : null;
 
-            let finalMediaUrl = videoUrl;
-            let localVideoId = null;
+        // The media JSON owner is authoritative; the viewer header is checked when there is no JSON
+        const ownerUsername = mediaItem?.owner_username || content.viewerUsername;
+        if (ownerUsername && !sameUser(ownerUsername, username)) {
+          const source = mediaItem?.owner_username ? 'media JSON owner' : 'viewer header';
+          endTray('user_boundary', `${source} is @${ownerUsername}`);
+          break;
+        }
 
-            if (processResult.success) {
-              finalMediaUrl = `${SERVER_URL}${processResult.url}`;
-              localVideoId = processResult.videoId;
-              console.log(`[DEBUG] ✓ Video processed: ${localVideoId}`);
-            } else {
-              console.log(`[DEBUG] ⚠ Video processing failed, using original URL`);
-            }
+        if (mediaItem && (mediaItem.best_video || mediaItem.best_image)) {
+          if (!this.seenPks.has(storyPk)) {
+            this.seenPks.add(storyPk);
+            const story = this.buildStoryFromMediaItem(mediaItem, content, username);
+            stories.push(story);
+            console.log(`[DEBUG] ✓ Story ${storyIndex + 1} extracted from media JSON (PK: ${storyPk}, type: ${story.media_type})`);
+          } else {
+            console.log(`[DEBUG] Story already extracted`);
+          }
+        } else if (videoUrl && storyPk && content.isVideo) {
+          if (!this.seenPks.has(storyPk)) {
+            this.seenPks.add(storyPk);
 
-            stories.push({
+            const story = {
               ig_pk: storyPk,
-              username: config.igTargetUsername,
+              username,
               caption: content.caption,
               media_type: 2, // Video
               is_video: true,
               taken_at: new Date().toISOString(),
               expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-              media_url: finalMediaUrl,
-              original_video_url: videoUrl,
-              original_audio_url: audioUrl,
-              local_video_id: localVideoId,
               thumbnail_url: content.posterUrl || videoUrl,
-              permalink: `${config.instagramUrl}/stories/${config.igTargetUsername}/${storyPk}/`,
+              permalink: `${config.instagramUrl}/stories/${username}/${storyPk}/`,
               story_link: content.link,
-            });
+              stickers: extractStickersFromAnchors(content.anchors),
+              source: 'dom',
+            };
+
+            // Download video+audio, combine them and save locally in the background
+            console.log(`[DEBUG] Queueing video for story ${storyPk}...`);
+            this.queueVideo(story, videoUrl, audioUrl);
+            stories.push(story);
             console.log(`[DEBUG] ✓ Story ${storyIndex + 1} extracted (PK: ${storyPk})`);
-            console.log(`[DEBUG] Media URL: ${finalMediaUrl.substring(0, 80)}...`);
+            console.log(`[DEBUG] Video URL: ${videoUrl.substring(0, 80)}...`);
           } else {
             console.log(`[DEBUG] Story already extracted`);
           }
         } else if (storyPk && !content.isVideo) {
-          // Image story - handle with captured image URL
-          let imageUrl = null;
-
-          // Try to get image from captured media (images)
-          if (capturedVideos.size > 0) {
-            const videoArray = Array.from(capturedVideos);
-            imageUrl = videoArray[videoArray.length - 1];
-          } else if (content.posterUrl && !content.posterUrl.startsWith('blob:')) {
+          // Image story - use the image shown in the viewer
+          let imageUrl = content.imageUrl;
+
+          if (!imageUrl && content.posterUrl && !content.posterUrl.startsWith('blob:')) {
             imageUrl = content.posterUrl;
           }
 
           if (imageUrl && !this.seenPks.has(storyPk)) {
             this.seenPks.add(storyPk);
-            stories.push({
+            const story = {
               ig_pk: storyPk,
-              username: config.igTargetUsername,
+              username,
               caption: content.caption,
               media_type: 1, // Image
               is_video: false,
               taken_at: new Date().toISOString(),
               expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-              media_url: imageUrl,
               thumbnail_url: imageUrl,
-              permalink: `${config.instagramUrl}/stories/${config.igTargetUsername}/${storyPk}/`,
+              permalink: `${config.instagramUrl}/stories/${username}/${storyPk}/`,
               story_link: content.link,
-            });
+              stickers: extractStickersFromAnchors(content.anchors),
+              source: 'dom',
+            };
+            this.queueImage(story, imageUrl);
+            stories.push(story);
             console.log(`[DEBUG] ✓ Image story ${storyIndex + 1} extracted (PK: ${storyPk})`);
           } else {
             console.log('[DEBUG] No media captured for image story');
             noContentCount++;
+            noContentReason = 'no_media';
           }
         } else {
           console.log('[DEBUG] No media captured or no story PK');
           noContentCount++;
+          noContentReason = 'no_media';
         }
 
         storyIndex++;
@@ -638,23 +1435,40 @@ export class InstagramScraper {
         // Go to next story
         if (noContentCount < 3) {
           try {
+            await this.pacer.act('next_story');
             await this.page.keyboard.press('ArrowRight');
-            await this.page.waitForTimeout(600);
+            await this.pacer.pause('nextStory');
           } catch (e) {
             console.log('[DEBUG] Navigation error:', e.message);
+            endTray(e instanceof PacingBudgetError ? 'budget_exhausted' : 'navigation_error', e.message);
             break;
           }
         }
       }
 
+      if (!this.lastTrayEnd) {
+        endTray(noContentReason);
+      }
+
+      // Join the media jobs: the stories get their local files (or keep the CDN URLs)
+      await this.mediaJobs.join();
+
       console.log(`[DEBUG] Total stories extracted: ${stories.length}`);
       log(`✓ Extracted ${stories.length} total stories`);
       return stories;
 
     } catch (error) {
+      await this.mediaJobs.join();
       console.log(`[DEBUG] Error: ${error.message}`);
       log(`⚠ Extraction error: ${error.message}`);
+      await this.captureFailure('stories', error, username);
+      endTray('error', error.message);
       return [];
+    } finally {
+      // Detach the listener so later targets don't inherit this one's captures
+      if (onRequest) {
+        this.page.off('request', onRequest);
+      }
     }
   }
 
@@ -663,6 +1477,12 @@ export class InstagramScraper {
    */
   async close() {
     try {
+      // Playwright only writes the HAR when the context closes
+      await this.closeContext();
+      if (this.recorder) {
+        await this.recorder.finish();
+      }
+
       if (this.browser) {
         await this.browser.close();
         log('Browser closed');
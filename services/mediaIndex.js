@@ -0,0 +1,246 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/env.js';
+import { log } from '../utils/logger.js';
+import { writeFileAtomic, withFileLock } from '../utils/atomicFile.js';
+import { getVideoPath, hashFile } from './videoProcessor.js';
+import { getImagePath } from './imageProcessor.js';
+
+/**
+ * Media Index
+ * Content hashes of every downloaded story file, to recognize the same media coming back under another story ID:
+ * a clip reposted as a new story, or reshared by several targets.
+ *
+ * Exact copies are matched by the SHA-256 of the stored file. Images also get a 64-bit difference hash (dHash,
+ * computed with ffmpeg), matching re-encoded or resized copies whose hashes differ by at most
+ * config.mediaDedup.phashThreshold bits. Videos are only matched exactly: a single frame (often black) says too little.
+ *
+ * An exact copy is deleted and its story points to the original file, listed in the entry's `duplicates`:
+ * such a file is shared and must not be deleted while the index references it (see references()).
+ *
+ * Index file: { version, entries: [{ sha256, phash, media_type, local_media_id, media_url, ig_pk, username, kind,
+ *               first_seen_at, last_seen_at, duplicates: [{ ig_pk, username, kind }] }] }
+ */
+
+const INDEX_VERSION = 1;
+
+// dHash input: 9x8 grayscale pixels, each compared with its right neighbour
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+/**
+ * 64-bit difference hash (16 hex chars) of 9x8 grayscale pixels
+ */
+export function differenceHash(pixels) {
+  let bits = 0n;
+  for (let y = 0; y < DHASH_HEIGHT; y++) {
+    for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+      const i = y * DHASH_WIDTH + x;
+      bits = (bits << 1n) | (pixels[i] < pixels[i + 1] ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Perceptual hash of an image; null when ffmpeg can't decode it
+ */
+export async function perceptualHash(file) {
+  const pixels = await new Promise((resolve) => {
+    const args = [
+      '-v', 'error', '-i', file, '-frames:v', '1',
+      '-vf', `scale=${DHASH_WIDTH}:${DHASH_HEIGHT}:flags=area,format=gray`,
+      '-f', 'rawvideo', '-',
+    ];
+    const ffmpeg = spawn('ffmpeg', args, {
+      stdio: ['ignore', 'pipe', 'ignore'],
+      windowsHide: true
+    });
+
+    const chunks = [];
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.on('close', code => resolve(code === 0 ? Buffer.concat(chunks) : null));
+    ffmpeg.on('error', () => resolve(null));
+  });
+
+  if (!pixels || pixels.length < DHASH_WIDTH * DHASH_HEIGHT) {
+    console.log(`[DEBUG] No perceptual hash for ${path.basename(file)}`);
+    return null;
+  }
+  return differenceHash(pixels);
+}
+
+/**
+ * The downloaded file of a story, if any
+ */
+function localMedia(story) {
+  if (story.local_video_id) {
+    return { type: 'video', id: story.local_video_id, file: getVideoPath(story.local_video_id) };
+  }
+  if (story.local_image_id) {
+    return { type: 'image', id: story.local_image_id, file: getImagePath(story.local_image_id) };
+  }
+  return null;
+}
+
+async function fileExists(file) {
+  return fs.access(file).then(() => true, () => false);
+}
+
+export class MediaIndex {
+  constructor(file = config.mediaDedup.indexFile) {
+    this.file = file;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      // Losing the index only means duplicates go undetected for a while: start over rather than fail the run
+      log(`⚠ Media index unreadable, starting a new one: ${error.message}`);
+      return [];
+    }
+  }
+
+  async save(entries) {
+    const { retentionDays } = config.mediaDedup;
+    const cutoff = retentionDays ? new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString() : null;
+    // Shared files stay referenced as long as their duplicates keep coming back
+    const kept = cutoff ? entries.filter(entry => (entry.last_seen_at || entry.first_seen_at) >= cutoff) : entries;
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await writeFileAtomic(this.file, JSON.stringify({ version: INDEX_VERSION, entries: kept }, null, 2));
+  }
+
+  /**
+   * Local media IDs the index points to, as id -> duplicate stories sharing the file ([] for a file of its own)
+   */
+  async references() {
+    const references = new Map();
+    for (const entry of await this.load()) {
+      references.set(entry.local_media_id, entry.duplicates || []);
+    }
+    return references;
+  }
+
+  /**
+   * Duplicate stories whose file is `localMediaId` (deleting it would break them)
+   */
+  async sharedBy(localMediaId) {
+    return (await this.references()).get(localMediaId) || [];
+  }
+
+  /**
+   * The indexed story with the same media: identical bytes first, then the closest perceptual hash
+   * Entries whose file was deleted since are dropped from `entries`
+   */
+  async findOriginal(entries, story, media, hashes) {
+    const candidates = [];
+    for (const entry of entries) {
+      // The same story extracted again (e.g. after a tracker clear) is not a repost
+      if (entry.media_type !== media.type || (entry.ig_pk && entry.ig_pk === story.ig_pk)) continue;
+
+      if (entry.sha256 === hashes.sha256) {
+        candidates.push({ entry, match: 'sha256', distance: 0 });
+      } else if (media.type === 'image' && entry.phash && hashes.phash) {
+        const distance = hammingDistance(entry.phash, hashes.phash);
+        if (distance <= config.mediaDedup.phashThreshold) {
+          candidates.push({ entry, match: 'phash', distance });
+        }
+      }
+    }
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    for (const candidate of candidates) {
+      const file = media.type === 'video' ? getVideoPath(candidate.entry.local_media_id) : getImagePath(candidate.entry.local_media_id);
+      if (await fileExists(file)) return candidate;
+      entries.splice(entries.indexOf(candidate.entry), 1);
+    }
+    return null;
+  }
+
+  /**
+   * Hash the downloaded media of new stories, flag the ones already indexed with `duplicate_of` and index the others
+   * An exact copy is deleted and the story points to the original file instead
+   * Returns the number of duplicates
+   */
+  async dedupeStories(stories, username) {
+    return withFileLock(this.file, async () => {
+      const entries = await this.load();
+      let duplicates = 0;
+
+      for (const story of stories) {
+        const media = localMedia(story);
+        if (!media || !(await fileExists(media.file))) continue;
+
+        // The checksum recorded when the file was stored, if any
+        const sha256 = story.media_checksum?.sha256 || await hashFile(media.file);
+        const hashes = { sha256, phash: media.type === 'image' ? await perceptualHash(media.file) : null };
+        story.media_hash = hashes;
+        const kind = story.is_highlight ? 'highlights' : 'stories';
+
+        const original = await this.findOriginal(entries, story, media, hashes);
+        if (!original) {
+          const index = entries.findIndex(entry => entry.ig_pk && entry.ig_pk === story.ig_pk && entry.media_type === media.type);
+          if (index >= 0) entries.splice(index, 1);
+          entries.push({
+            ...hashes,
+            media_type: media.type,
+            local_media_id: media.id,
+            media_url: story.media_url,
+            ig_pk: story.ig_pk || null,
+            username,
+            kind,
+            first_seen_at: new Date().toISOString(),
+            last_seen_at: new Date().toISOString(),
+            duplicates: [],
+          });
+          continue;
+        }
+
+        const { entry, match, distance } = original;
+        story.duplicate_of = {
+          ig_pk: entry.ig_pk,
+          username: entry.username,
+          kind: entry.kind,
+          local_media_id: entry.local_media_id,
+          match,
+          distance,
+          first_seen_at: entry.first_seen_at,
+        };
+
+        // Identical bytes: keep a single copy on disk, shared with the original
+        entry.last_seen_at = new Date().toISOString();
+        if (match === 'sha256') {
+          await fs.unlink(media.file).catch(() => {});
+          story[media.type === 'video' ? 'local_video_id' : 'local_image_id'] = entry.local_media_id;
+          story.media_url = entry.media_url;
+          entry.duplicates = [...(entry.duplicates || []), { ig_pk: story.ig_pk || null, username, kind }];
+        }
+
+        duplicates++;
+        log(`♻️  Story ${story.ig_pk || media.id} duplicates @${entry.username}'s ${entry.ig_pk || entry.local_media_id} ` +
+          `(${match === 'sha256' ? 'identical file' : `perceptual distance ${distance}`})`);
+      }
+
+      await this.save(entries);
+      return duplicates;
+    }, { timeout: config.tracker.lockTimeout });
+  }
+}
@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/env.js';
+import { log } from '../utils/logger.js';
+import { sendToApi } from '../utils/apiClient.js';
+import { isRetryableStatus } from '../utils/retry.js';
+import { writeFileAtomic, withFileLock, FileLockError } from '../utils/atomicFile.js';
+import { getArchive, DeliveryStatus } from './storyArchive.js';
+
+/**
+ * Outbox
+ * Payloads for the Laravel API are written to `outbox/<id>.json` before anything is marked as processed,
+ * and only removed once the API accepted them. Failed deliveries are retried with backoff by later runs and
+ * by the media server; payloads the API rejects for good (4xx) are set aside as dead until replayed by hand.
+ *
+ * Entry: { id, endpoint, payload, stories: [{ username, kind, key }], run_id, status, attempts,
+ *          created_at, last_attempt_at, next_attempt_at, last_error, last_status }
+ */
+
+export const OutboxStatus = Object.freeze({
+  PENDING: 'pending',
+  DEAD: 'dead',
+});
+
+// Entry ids as enqueue() makes them: creation time (ISO, filename-safe) and a random suffix
+const ENTRY_ID = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[0-9a-f]{8}$/;
+
+/**
+ * Thrown for an id enqueue() could not have made (e.g. a path like ../accounts from a request or the CLI)
+ */
+export class InvalidOutboxIdError extends Error {
+  constructor(id) {
+    super(`Invalid outbox entry id "${id}"`);
+    this.name = 'InvalidOutboxIdError';
+  }
+}
+
+export class Outbox {
+  constructor(dir = config.outbox.dir) {
+    this.dir = dir;
+    // Only one process delivers at a time, so a payload is never sent twice concurrently
+    this.flushLock = path.join(dir, 'flush');
+  }
+
+  /**
+   * File of an entry; every access by id goes through here, so ids never escape the outbox directory
+   */
+  entryFile(id) {
+    if (typeof id !== 'string' || !ENTRY_ID.test(id)) {
+      throw new InvalidOutboxIdError(id);
+    }
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * Persist a payload to deliver; returns the entry
+   */
+  async enqueue(endpoint, payload, { runId = null, stories = [] } = {}) {
+    const now = new Date().toISOString();
+    const entry = {
+      // Sortable by creation time, so entries are delivered in order
+      id: `${now.replace(/[:.]/g, '-')}-${uuidv4().slice(0, 8)}`,
+      endpoint,
+      payload,
+      stories,
+      run_id: runId,
+      status: OutboxStatus.PENDING,
+      attempts: 0,
+      created_at: now,
+      last_attempt_at: null,
+      next_attempt_at: now,
+      last_error: null,
+      last_status: null,
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await writeFileAtomic(this.entryFile(entry.id), JSON.stringify(entry, null, 2));
+    log(`📮 Outbox: ${endpoint} payload queued (${entry.id}, ${stories.length} stories)`);
+    return entry;
+  }
+
+  /**
+   * Every entry, oldest first; unreadable files are reported with status 'corrupt'
+   */
+  async list() {
+    // Only files named like entries: anything else in the directory is not ours to deliver or show
+    const files = (await fs.readdir(this.dir).catch(() => []))
+      .filter(f => f.endsWith('.json') && ENTRY_ID.test(f.slice(0, -'.json'.length)))
+      .sort();
+    const entries = [];
+    for (const file of files) {
+      try {
+        entries.push(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf-8')));
+      } catch (error) {
+        entries.push({ id: file.slice(0, -'.json'.length), status: 'corrupt', last_error: error.message });
+      }
+    }
+    return entries;
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.entryFile(id), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(id) {
+    return fs.unlink(this.entryFile(id)).then(() => true, () => false);
+  }
+
+  /**
+   * Deliver the entries that are due, oldest first
+   * `ids` limits the flush to some entries; `force` ignores backoff and retries dead entries (manual replay)
+   * Returns { delivered, failed, dead, busy } - busy when another process is delivering
+   */
+  async flush({ ids = null, force = false } = {}) {
+    const result = { delivered: [], failed: [], dead: [], busy: false };
+    if (!config.laravelApiUrl || !config.laravelApiKey) return result;
+
+    try {
+      await withFileLock(this.flushLock, async () => {
+        const now = Date.now();
+        const due = (await this.list()).filter(entry =>
+          (!ids || ids.includes(entry.id)) &&
+          (entry.status === OutboxStatus.PENDING || (force && entry.status === OutboxStatus.DEAD)) &&
+          (force || new Date(entry.next_attempt_at).getTime() <= now));
+
+        if (due.length > 0) {
+          log(`📮 Outbox: delivering ${due.length} payloads`);
+        }
+        for (const entry of due) {
+          const outcome = await this.deliver(entry);
+          result[outcome].push(entry);
+        }
+      }, { timeout: 0 });
+    } catch (error) {
+      if (!(error instanceof FileLockError)) throw error;
+      log('📮 Outbox: another process is delivering, skipped');
+      result.busy = true;
+    }
+    return result;
+  }
+
+  /**
+   * Send one entry and record the outcome: 'delivered', 'failed' (will be retried) or 'dead'
+   */
+  async deliver(entry) {
+    const response = await sendToApi(entry.endpoint, entry.payload);
+    const archive = getArchive();
+
+    if (response.success) {
+      await this.remove(entry.id);
+      archive?.markDelivery(entry.stories, DeliveryStatus.DELIVERED);
+      log(`📮 Outbox: ${entry.id} delivered`);
+      return 'delivered';
+    }
+
+    entry.attempts += 1;
+    entry.last_attempt_at = new Date().toISOString();
+    entry.last_error = response.error?.substring(0, 1000) || 'Unknown error';
+    entry.last_status = response.status;
+
+    // The API refused the payload itself (validation, auth...): retrying the same bytes won't help
+    const rejected = response.status && !isRetryableStatus(response.status);
+    const { maxAttempts, retryBaseDelay, retryMaxDelay } = config.outbox;
+    if (rejected || (maxAttempts > 0 && entry.attempts >= maxAttempts)) {
+      entry.status = OutboxStatus.DEAD;
+      entry.next_attempt_at = null;
+    } else {
+      entry.status = OutboxStatus.PENDING;
+      const delay = Math.min(retryMaxDelay, retryBaseDelay * 2 ** (entry.attempts - 1));
+      entry.next_attempt_at = new Date(Date.now() + delay).toISOString();
+    }
+
+    await writeFileAtomic(this.entryFile(entry.id), JSON.stringify(entry, null, 2));
+    archive?.markDelivery(entry.stories, DeliveryStatus.FAILED, entry.last_error);
+    log(entry.status === OutboxStatus.DEAD
+      ? `📮 Outbox: ${entry.id} set aside after ${entry.attempts} attempts (${entry.last_error})`
+      : `📮 Outbox: ${entry.id} failed (attempt ${entry.attempts}), next attempt at ${entry.next_attempt_at}`);
+    return entry.status === OutboxStatus.DEAD ? 'dead' : 'failed';
+  }
+}
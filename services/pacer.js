@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/env.js';
+import { log } from '../utils/logger.js';
+import { writeFileAtomic, withFileLock } from '../utils/atomicFile.js';
+import { TargetStatus, TargetStatusError } from './targetStatus.js';
+
+/**
+ * Pacer
+ * Human-like randomized waits and a persisted actions-per-hour budget per scraping account
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Thrown when the action budget is exhausted and waiting for it is not allowed (or would take too long)
+ */
+export class PacingBudgetError extends TargetStatusError {
+  constructor(message, retryAt) {
+    super(TargetStatus.BUDGET_EXHAUSTED, message);
+    this.name = 'PacingBudgetError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Random value in [min, max] with a triangular distribution peaking at `mode` (default: the middle)
+ * Humans cluster around a typical delay rather than spreading uniformly
+ */
+export function sampleDelay({ min, max, mode = (min + max) / 2 }) {
+  if (max <= min) return min;
+  const u = Math.random();
+  const split = (mode - min) / (max - min);
+  const value = u < split
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+  return Math.round(value);
+}
+
+export class Pacer {
+  constructor(account = config.igUsername) {
+    this.account = account || 'default';
+    this.delays = config.pacing.delays;
+    this.actionsPerHour = config.pacing.actionsPerHour;
+    this.onBudgetExhausted = config.pacing.onBudgetExhausted;
+    this.maxBudgetWait = config.pacing.maxBudgetWait;
+    this.stateFile = path.join(config.pacing.stateDir, `actions_${this.account}.json`);
+    this.actions = null; // timestamps of the actions in the last hour
+    this.exhausted = null; // PacingBudgetError once the run gave up on the budget
+  }
+
+  /**
+   * Wait a randomized delay of the given kind (see config.pacing.delays)
+   */
+  async pause(kind) {
+    const distribution = this.delays[kind];
+    if (!distribution) {
+      throw new Error(`Unknown pacing delay "${kind}"`);
+    }
+    const delay = Math.round(sampleDelay(distribution) * config.pacing.scale);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return delay;
+  }
+
+  /**
+   * Load the action history persisted by other runs of the same account, merged with this run's
+   */
+  async load() {
+    let persisted = [];
+    try {
+      const data = JSON.parse(await fs.readFile(this.stateFile, 'utf-8'));
+      persisted = Array.isArray(data.actions) ? data.actions : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log(`⚠ Error loading pacing state: ${error.message}`);
+      }
+    }
+    const cutoff = Date.now() - HOUR;
+    this.actions = [...new Set([...(this.actions || []), ...persisted])]
+      .filter(t => t > cutoff)
+      .sort((a, b) => a - b);
+    return this.actions;
+  }
+
+  /**
+   * Apply `mutate` to the latest action history and persist it, under the state file lock
+   * Concurrent runs with the same account then share one budget; returns what `mutate` returns
+   */
+  async update(mutate) {
+    let applied = false;
+    let result;
+    try {
+      await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      await withFileLock(this.stateFile, async () => {
+        await this.load();
+        result = mutate();
+        applied = true;
+        await writeFileAtomic(this.stateFile, JSON.stringify({
+          account: this.account,
+          actions_per_hour: this.actionsPerHour,
+          actions: this.actions,
+          updated_at: new Date().toISOString(),
+        }));
+      });
+    } catch (error) {
+      log(`⚠ Error saving pacing state: ${error.message}`);
+      // Keep counting in memory
+      if (!applied) {
+        if (!this.actions) this.actions = [];
+        result = mutate();
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Count a browser action (navigation, click, key press) against the hourly budget
+   * Pauses until the budget frees up, or throws PacingBudgetError when configured to abort
+   */
+  async act(kind) {
+    if (this.exhausted) throw this.exhausted;
+    if (!this.actionsPerHour) return;
+
+    for (;;) {
+      // Counted under the lock: another run may have used the budget since our last action
+      const retryAt = await this.update(() => {
+        const now = Date.now();
+        this.actions = this.actions.filter(t => t > now - HOUR);
+        if (this.actions.length >= this.actionsPerHour) {
+          return this.actions[this.actions.length - this.actionsPerHour] + HOUR;
+        }
+        this.actions.push(now);
+        return null;
+      });
+      if (retryAt === null) break;
+
+      const wait = retryAt - Date.now();
+      const message = `Action budget exhausted for ${this.account} (${this.actionsPerHour}/hour), next action at ${new Date(retryAt).toISOString()}`;
+
+      if (this.onBudgetExhausted !== 'pause' || wait > this.maxBudgetWait) {
+        log(`⛔ ${message}`);
+        this.exhausted = new PacingBudgetError(message, retryAt);
+        throw this.exhausted;
+      }
+
+      log(`⏸ ${message} - pausing ${Math.round(wait / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+    }
+
+    console.log(`[PACING] ${kind} (${this.actions.length}/${this.actionsPerHour} this hour)`);
+  }
+
+  /**
+   * Remaining actions in the current hour
+   */
+  async remaining() {
+    if (!this.actionsPerHour) return Infinity;
+    await this.load();
+    const recent = this.actions.filter(t => t > Date.now() - HOUR);
+    return Math.max(0, this.actionsPerHour - recent.length);
+  }
+}
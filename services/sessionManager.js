@@ -1,15 +1,73 @@
 import { chromium } from 'playwright';
 import { config } from '../config/env.js';
 import { log } from '../utils/logger.js';
+import { writeFileAtomic } from '../utils/atomicFile.js';
+import { loadSessionSecret, encryptJson, decryptJson, isEncryptedEnvelope, SessionKeyError } from '../utils/sessionCrypto.js';
 import fs from 'fs/promises';
 import path from 'path';
 
+// Cookies a logged-in Instagram session can't work without
+const AUTH_COOKIES = ['sessionid', 'ds_user_id'];
+
+// Chromium lock files (present while a browser uses the profile) and caches not worth backing up
+const PROFILE_LOCK_FILES = ['SingletonLock', 'SingletonSocket', 'SingletonCookie'];
+const PROFILE_CACHE_DIRS = ['Cache', 'Code Cache', 'GPUCache', 'GrShaderCache', 'ShaderCache', 'DawnCache', 'DawnGraphiteCache', 'DawnWebGPUCache'];
+
+/**
+ * Total size in bytes and last modification of a directory tree
+ */
+async function directoryStats(dir) {
+  let size = 0;
+  let modified = 0;
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const stats = await directoryStats(entryPath);
+      size += stats.size;
+      modified = Math.max(modified, stats.modified);
+    } else if (entry.isFile()) {
+      const stats = await fs.stat(entryPath).catch(() => null);
+      if (stats) {
+        size += stats.size;
+        modified = Math.max(modified, stats.mtimeMs);
+      }
+    }
+  }
+  return { size, modified };
+}
+
 /**
- * Session Manager for persisting browser context
+ * Session Manager for persisting browser context, one session file per scraping account
  */
 export class SessionManager {
-  constructor() {
-    this.sessionFile = config.sessionFile;
+  constructor(username = config.igUsername) {
+    this.username = username;
+    this.sessionFile = path.join(config.sessionDir, `${username}.json`);
+    this.profileDir = path.join(config.profileDir, username);
+    this.profileBackupDir = path.join(config.profileBackupDir, username);
+  }
+
+  /**
+   * Move the single-account ig-session.json of older versions to the first account's session file
+   */
+  async migrateLegacySession() {
+    if (this.username !== config.igUsername || await this.hasSession()) return false;
+    try {
+      await fs.access(config.sessionFile);
+    } catch {
+      return false;
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.sessionFile), { recursive: true });
+      await fs.rename(config.sessionFile, this.sessionFile);
+      log(`✓ Sessione migrata in ${this.sessionFile}`);
+      return true;
+    } catch (error) {
+      log(`⚠ Errore migrazione sessione: ${error.message}`);
+      return false;
+    }
   }
 
   /**
@@ -44,8 +102,7 @@ export class SessionManager {
         savedAt: new Date().toISOString(),
       };
 
-      await fs.mkdir(path.dirname(this.sessionFile), { recursive: true });
-      await fs.writeFile(this.sessionFile, JSON.stringify(sessionData, null, 2));
+      await this.writeSession(sessionData);
 
       log('✓ Sessione salvata');
     } catch (error) {
@@ -54,40 +111,81 @@ export class SessionManager {
   }
 
   /**
-   * Load browser session from file
+   * Write session data atomically, encrypted when a session key is configured
+   * The file is only readable by the current user, including a file written by older versions
+   */
+  async writeSession(sessionData) {
+    const secret = await loadSessionSecret();
+    const content = secret ? encryptJson(sessionData, secret) : sessionData;
+
+    await fs.mkdir(path.dirname(this.sessionFile), { recursive: true });
+    await writeFileAtomic(this.sessionFile, JSON.stringify(content, null, 2), { mode: 0o600 });
+    await fs.chmod(this.sessionFile, 0o600);
+  }
+
+  /**
+   * Read session data, decrypting it if needed (null when there is no usable session)
+   * A file that isn't valid JSON counts as no session: the next login replaces it
+   * A plaintext file is encrypted in place once a key is configured
+   * Throws SessionKeyError when the file is encrypted and the key is missing or wrong
    */
-  async loadSession(context) {
+  async readSession() {
+    let content;
     try {
-      const sessionData = await fs.readFile(this.sessionFile, 'utf-8');
-      const session = JSON.parse(sessionData);
+      content = JSON.parse(await fs.readFile(this.sessionFile, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      if (!(error instanceof SyntaxError)) throw error;
+      log(`⚠ File di sessione ${this.sessionFile} illeggibile (${error.message}), nuovo login richiesto`);
+      return null;
+    }
 
-      // Check if session is recent (less than 7 days old)
-      const savedAt = new Date(session.savedAt);
-      const daysSinceSave = (Date.now() - savedAt.getTime()) / (1000 * 60 * 60 * 24);
+    const secret = await loadSessionSecret();
 
-      if (daysSinceSave > 7) {
-        log('⚠ Sessione scaduta (> 7 giorni), nuovo login richiesto');
-        return false;
+    if (isEncryptedEnvelope(content)) {
+      if (!secret) {
+        throw new SessionKeyError(`Session file ${this.sessionFile} is encrypted: set SESSION_ENCRYPTION_KEY or SESSION_KEY_FILE`);
       }
+      return decryptJson(content, secret, `session file ${this.sessionFile}`);
+    }
 
-      // Restore cookies
-      await context.addCookies(session.cookies);
+    if (secret) {
+      try {
+        await this.writeSession(content);
+        log('✓ Sessione in chiaro cifrata');
+      } catch (error) {
+        // The session is still usable; the next save encrypts it
+        log(`⚠ Errore cifratura sessione: ${error.message}`);
+      }
+    }
+    return content;
+  }
 
-      // Restore local storage
-      await context.addInitScript((storage) => {
-        for (const [key, value] of Object.entries(storage)) {
-          window.localStorage.setItem(key, value);
-        }
-      }, session.localStorage);
+  /**
+   * Validity of stored session data, from the expiry of its auth cookies
+   * Returns { valid, reason, expiresAt } - expiresAt is when the first auth cookie expires (null for browser-session cookies)
+   * A valid result only means the cookies haven't expired: the session may still have been revoked server-side
+   */
+  getSessionValidity(session) {
+    const cookies = session?.cookies || [];
+    const now = Date.now() / 1000;
+    let expiresAt = null;
 
-      log(`✓ Sessione caricata (salvata ${Math.round(daysSinceSave * 24)} ore fa)`);
-      return true;
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        log(`⚠ Errore caricamento sessione: ${error.message}`);
+    for (const name of AUTH_COOKIES) {
+      const cookie = cookies.find(c => c.name === name && c.value && String(c.domain).includes('instagram.com'));
+      if (!cookie) {
+        return { valid: false, reason: `missing ${name} cookie`, expiresAt: null };
+      }
+      // Playwright uses -1 for cookies without an expiry (dropped when the browser closes)
+      if (cookie.expires > 0) {
+        if (cookie.expires <= now) {
+          return { valid: false, reason: `${name} cookie expired on ${new Date(cookie.expires * 1000).toISOString()}`, expiresAt: null };
+        }
+        expiresAt = Math.min(expiresAt ?? Infinity, cookie.expires);
       }
-      return false;
     }
+
+    return { valid: true, reason: null, expiresAt: expiresAt ? new Date(expiresAt * 1000).toISOString() : null };
   }
 
   /**
@@ -115,17 +213,134 @@ export class SessionManager {
   }
 
   /**
-   * Get session age in hours
+   * Describe the stored session for status reports, without cookie values
+   * Unlike readSession() it never rewrites the file
+   */
+  async getSessionStatus() {
+    const status = {
+      username: this.username,
+      file: this.sessionFile,
+      exists: false,
+      encrypted: false,
+      valid: false,
+      reason: null,
+      expires_at: null,
+      saved_at: null,
+    };
+
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(this.sessionFile, 'utf-8'));
+    } catch (error) {
+      status.reason = error.code === 'ENOENT' ? 'no session file' : error.message;
+      return status;
+    }
+
+    status.exists = true;
+    status.encrypted = isEncryptedEnvelope(content);
+
+    try {
+      let session = content;
+      if (status.encrypted) {
+        const secret = await loadSessionSecret();
+        if (!secret) throw new SessionKeyError('encrypted, but no session key is configured');
+        session = decryptJson(content, secret, `session file ${this.sessionFile}`);
+      }
+
+      const validity = this.getSessionValidity(session);
+      status.valid = validity.valid;
+      status.reason = validity.reason;
+      status.expires_at = validity.expiresAt;
+      status.saved_at = session.savedAt || null;
+    } catch (error) {
+      status.reason = error.message;
+    }
+    return status;
+  }
+
+  /**
+   * Describe the persistent browser profile of the account (profile session mode)
    */
-  async getSessionAge() {
+  async inspectProfile() {
+    const info = {
+      username: this.username,
+      path: this.profileDir,
+      exists: false,
+      locked: false,
+      size_bytes: 0,
+      modified_at: null,
+      has_cookies: false,
+      has_indexeddb: false,
+      has_service_workers: false,
+      backups: await this.listProfileBackups(),
+    };
+
     try {
-      const sessionData = await fs.readFile(this.sessionFile, 'utf-8');
-      const session = JSON.parse(sessionData);
-      const savedAt = new Date(session.savedAt);
-      const hoursSinceSave = (Date.now() - savedAt.getTime()) / (1000 * 60 * 60);
-      return hoursSinceSave;
+      await fs.access(this.profileDir);
     } catch {
-      return Infinity;
+      return info;
+    }
+
+    const exists = async (...parts) => fs.access(path.join(this.profileDir, ...parts)).then(() => true, () => false);
+    const { size, modified } = await directoryStats(this.profileDir);
+
+    info.exists = true;
+    info.locked = await fs.lstat(path.join(this.profileDir, 'SingletonLock')).then(() => true, () => false);
+    info.size_bytes = size;
+    info.modified_at = modified ? new Date(modified).toISOString() : null;
+    info.has_cookies = await exists('Default', 'Cookies') || await exists('Default', 'Network', 'Cookies');
+    info.has_indexeddb = await exists('Default', 'IndexedDB');
+    info.has_service_workers = await exists('Default', 'Service Worker');
+    return info;
+  }
+
+  /**
+   * Backups of the account's profile, newest first
+   */
+  async listProfileBackups() {
+    const names = await fs.readdir(this.profileBackupDir).catch(() => []);
+    return names.sort().reverse().map(name => path.join(this.profileBackupDir, name));
+  }
+
+  /**
+   * Copy the account's profile to profile-backups/<account>/<timestamp>, without caches and lock files
+   * Returns the backup path (null when there is no profile)
+   */
+  async backupProfile() {
+    const profile = await this.inspectProfile();
+    if (!profile.exists) return null;
+    if (profile.locked) {
+      log(`⚠ Il profilo ${this.profileDir} è in uso, il backup potrebbe essere incoerente`);
+    }
+
+    const destination = path.join(this.profileBackupDir, new Date().toISOString().replace(/[:.]/g, '-'));
+    await fs.mkdir(this.profileBackupDir, { recursive: true });
+    await fs.cp(this.profileDir, destination, {
+      recursive: true,
+      filter: (source) => {
+        const name = path.basename(source);
+        return !PROFILE_LOCK_FILES.includes(name) && !PROFILE_CACHE_DIRS.includes(name);
+      },
+    });
+
+    log(`✓ Backup profilo salvato in ${destination}`);
+    return destination;
+  }
+
+  /**
+   * Delete the account's profile, so the next run starts from a fresh browser and logs in again
+   * A backup is made first unless `backup` is false; a profile in use is never deleted
+   */
+  async resetProfile({ backup = true } = {}) {
+    const profile = await this.inspectProfile();
+    if (!profile.exists) return { reset: false, backup: null };
+    if (profile.locked) {
+      throw new Error(`Profile ${this.profileDir} is in use by a running browser`);
     }
+
+    const backupPath = backup ? await this.backupProfile() : null;
+    await fs.rm(this.profileDir, { recursive: true, force: true });
+    log(`✓ Profilo cancellato: ${this.profileDir}`);
+    return { reset: true, backup: backupPath };
   }
 }
@@ -0,0 +1,295 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { log } from '../utils/logger.js';
+import { isStoryMediaResponse } from './storyMediaParser.js';
+
+/**
+ * Offline record/replay of scraping sessions
+ *
+ * A recording directory contains:
+ *   session.har    - browser traffic (media JSON, media files, static assets)
+ *   manifest.json  - ordered DOM states the scraper inspected, with the media JSON requests issued while on them
+ *   dom/*.html     - the DOM snapshot of each state (scripts stripped)
+ */
+
+const HAR_FILE = 'session.har';
+const MANIFEST_FILE = 'manifest.json';
+const DOM_DIR = 'dom';
+
+// Labels of states inside the story viewer, walked with ArrowRight
+const VIEWER_LABELS = ['viewer', 'story'];
+
+// Headers that carry credentials and must not end up in a recording
+const SENSITIVE_HEADERS = ['cookie', 'set-cookie', 'authorization', 'x-csrftoken', 'x-ig-www-claim', 'x-instagram-ajax', 'x-fb-lsd'];
+
+// Requests whose answer is the account's personal data (email, phone, birthday)
+const PERSONAL_URL = /\/accounts\/current_user|\/accounts\/edit/;
+
+// Session tokens sent in the form body of GraphQL requests
+const SENSITIVE_FIELDS = ['fb_dtsg', 'lsd'];
+
+/**
+ * Remove session tokens from a form-encoded request body
+ * The HAR and the manifest go through the same rewrite, so replayed bodies still match the recorded ones
+ */
+function stripFormTokens(postData) {
+  if (!postData || !SENSITIVE_FIELDS.some(field => postData.includes(`${field}=`))) return postData;
+  const params = new URLSearchParams(postData);
+  for (const field of SENSITIVE_FIELDS) params.delete(field);
+  return params.toString();
+}
+
+/**
+ * Remove scripts so a replayed snapshot doesn't boot the Instagram app (and leak tokens)
+ */
+function stripScripts(html) {
+  return html
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/<link\b[^>]*rel="(?:modulepreload|preload)"[^>]*as="script"[^>]*>/gi, '');
+}
+
+/**
+ * Compare URLs ignoring a trailing slash
+ */
+function normalizeUrl(url) {
+  return url.replace(/\/(?=$|\?)/, '');
+}
+
+/**
+ * Records the traffic and DOM states of a live scrape
+ */
+export class SessionRecorder {
+  constructor(dir) {
+    this.dir = dir;
+    this.harPath = path.join(dir, HAR_FILE);
+    this.states = [];
+    this.pendingRequests = [];
+    this.targets = [];
+  }
+
+  /**
+   * Prepare the recording directory (any previous recording is replaced)
+   */
+  async start() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+    await fs.mkdir(path.join(this.dir, DOM_DIR), { recursive: true });
+    log(`⏺ Recording session to ${this.dir}`);
+  }
+
+  /**
+   * Context options enabling HAR capture
+   */
+  contextOptions() {
+    return { recordHar: { path: this.harPath, content: 'embed', mode: 'full' } };
+  }
+
+  /**
+   * Track the media JSON requests so replay can re-issue them on the same state
+   */
+  attach(page) {
+    page.on('request', (req) => {
+      if (!isStoryMediaResponse(req.url())) return;
+      this.pendingRequests.push({
+        url: req.url(),
+        method: req.method(),
+        postData: stripFormTokens(req.postData()) || null,
+        contentType: req.headers()['content-type'] || null,
+      });
+    });
+  }
+
+  /**
+   * Remember a target so the replay test knows what to scrape
+   */
+  addTarget(username) {
+    if (!this.targets.includes(username)) this.targets.push(username);
+  }
+
+  /**
+   * Save the current DOM state of the page
+   */
+  async snapshot(page, label) {
+    try {
+      const index = this.states.length;
+      const file = `${DOM_DIR}/${String(index).padStart(3, '0')}-${label}.html`;
+      const html = stripScripts(await page.content());
+
+      await fs.writeFile(path.join(this.dir, file), html);
+      this.states.push({
+        label,
+        url: page.url(),
+        file,
+        requests: this.pendingRequests,
+      });
+      this.pendingRequests = [];
+    } catch (error) {
+      log(`⚠ Recording snapshot error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the manifest and sanitize the HAR
+   * Must be called after the browser context is closed (Playwright writes the HAR on close)
+   */
+  async finish() {
+    try {
+      await this.sanitizeHar();
+
+      const manifest = {
+        recorded_at: new Date().toISOString(),
+        targets: this.targets,
+        states: this.states,
+      };
+      await fs.writeFile(path.join(this.dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+      log(`✓ Recording saved: ${this.states.length} DOM states`);
+    } catch (error) {
+      log(`⚠ Recording finish error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop credentials (cookies, tokens, login requests) and personal data from the HAR
+   */
+  async sanitizeHar() {
+    const har = JSON.parse(await fs.readFile(this.harPath, 'utf-8'));
+    const isSafeHeader = (header) => !SENSITIVE_HEADERS.includes(header.name.toLowerCase());
+
+    har.log.entries = har.log.entries
+      .filter(entry => !/\/accounts\/login|\/two_factor|\/challenge/.test(entry.request.url))
+      .filter(entry => !PERSONAL_URL.test(entry.request.url))
+      .map((entry) => {
+        entry.request.headers = entry.request.headers.filter(isSafeHeader);
+        entry.request.cookies = [];
+        const postData = entry.request.postData;
+        if (postData) {
+          if (postData.text) postData.text = stripFormTokens(postData.text);
+          if (postData.params) postData.params = postData.params.filter(param => !SENSITIVE_FIELDS.includes(param.name));
+        }
+        entry.response.headers = entry.response.headers.filter(isSafeHeader);
+        entry.response.cookies = [];
+        return entry;
+      });
+
+    await fs.writeFile(this.harPath, JSON.stringify(har));
+  }
+}
+
+/**
+ * Serves a recording to Playwright instead of Instagram
+ */
+export class SessionReplayer {
+  constructor(dir) {
+    this.dir = dir;
+    this.harPath = path.join(dir, HAR_FILE);
+    this.manifest = null;
+    this.served = new Map(); // normalized URL -> number of times served
+  }
+
+  /**
+   * Load the recording manifest
+   */
+  async load() {
+    const data = await fs.readFile(path.join(this.dir, MANIFEST_FILE), 'utf-8');
+    this.manifest = JSON.parse(data);
+    log(`⏵ Replaying session from ${this.dir} (${this.manifest.states.length} DOM states)`);
+    return this.manifest;
+  }
+
+  /**
+   * Route the context: documents from the DOM states, everything else from the HAR
+   */
+  async attach(context) {
+    if (!this.manifest) await this.load();
+
+    // Anything not in the HAR is aborted, nothing reaches the network
+    await context.routeFromHAR(this.harPath, { notFound: 'abort' });
+
+    // Registered last, so it runs first
+    await context.route('**/*', async (route) => {
+      const request = route.request();
+      if (!request.isNavigationRequest() || request.resourceType() !== 'document') {
+        return route.fallback();
+      }
+
+      const index = this.nextStateIndex(request.url());
+      if (index === -1) {
+        console.log(`[REPLAY] No recorded state for ${request.url()}`);
+        return route.fulfill({ status: 404, contentType: 'text/html', body: '<html><body></body></html>' });
+      }
+
+      const html = await fs.readFile(path.join(this.dir, this.manifest.states[index].file), 'utf-8');
+      return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: this.injectDriver(html, index) });
+    });
+  }
+
+  /**
+   * Pick the next not-yet-served state for a URL (the last one once all are served)
+   */
+  nextStateIndex(url) {
+    const key = normalizeUrl(url);
+    const matches = this.manifest.states
+      .map((state, index) => ({ state, index }))
+      .filter(({ state }) => normalizeUrl(state.url) === key)
+      .map(({ index }) => index);
+
+    if (matches.length === 0) return -1;
+
+    const count = this.served.get(key) || 0;
+    this.served.set(key, count + 1);
+    return matches[Math.min(count, matches.length - 1)];
+  }
+
+  /**
+   * URL the viewer moves to on ArrowRight: the next viewer state with a different URL
+   */
+  nextViewerUrl(index) {
+    const current = normalizeUrl(this.manifest.states[index].url);
+    for (let i = index + 1; i < this.manifest.states.length; i++) {
+      const state = this.manifest.states[i];
+      if (!VIEWER_LABELS.includes(state.label)) return null;
+      if (normalizeUrl(state.url) !== current) return state.url;
+    }
+    return null;
+  }
+
+  /**
+   * URL the story ring opens from a profile: the viewer state right after it
+   */
+  openViewerUrl(index) {
+    const next = this.manifest.states[index + 1];
+    return next && VIEWER_LABELS.includes(next.label) ? next.url : null;
+  }
+
+  /**
+   * Inject the script that emulates the Instagram app on a static snapshot:
+   * re-issues the recorded media JSON requests and maps clicks/keys to recorded navigations
+   */
+  injectDriver(html, index) {
+    const state = this.manifest.states[index];
+    const driver = {
+      requests: state.requests || [],
+      next: VIEWER_LABELS.includes(state.label) ? this.nextViewerUrl(index) : null,
+      open: state.label === 'profile' ? this.openViewerUrl(index) : null,
+    };
+
+    const script = `<script>(() => {
+      const replay = ${JSON.stringify(driver).replace(/</g, '\\u003c')};
+      for (const req of replay.requests) {
+        const headers = req.contentType ? { 'Content-Type': req.contentType } : {};
+        fetch(req.url, { method: req.method, body: req.postData || undefined, headers }).catch(() => {});
+      }
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowRight' && replay.next) location.href = replay.next;
+      });
+      document.addEventListener('click', (e) => {
+        if (replay.open && e.target.closest('header section')) {
+          e.preventDefault();
+          location.href = replay.open;
+        }
+      }, true);
+    })();</script>`;
+
+    return html.includes('</head>') ? html.replace('</head>', `${script}</head>`) : script + html;
+  }
+}
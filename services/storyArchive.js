@@ -0,0 +1,363 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/env.js';
+import { log } from '../utils/logger.js';
+import { getVideoPath } from './videoProcessor.js';
+import { getImagePath } from './imageProcessor.js';
+
+/**
+ * Story Archive
+ * Local SQLite database of every new story the scraper produced: full story object, the downloaded media
+ * file, the run that found it and whether it reached the Laravel API.
+ * With TRACKER_BACKEND=archive it is also the tracker's dedup store (see StoryTracker)
+ */
+
+export const DeliveryStatus = Object.freeze({
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+  // The API is not configured (or the run was a replay): nothing was sent
+  SKIPPED: 'skipped',
+});
+
+// Schema migrations, applied in order; PRAGMA user_version is the number already applied
+const MIGRATIONS = [
+  `
+  CREATE TABLE runs (
+    run_id TEXT PRIMARY KEY,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    targets TEXT,
+    total_new_stories INTEGER
+  );
+
+  CREATE TABLE stories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    story_key TEXT NOT NULL,
+    ig_pk TEXT,
+    media_type TEXT,
+    media_url TEXT,
+    story_link TEXT,
+    has_link INTEGER NOT NULL DEFAULT 0,
+    caption TEXT,
+    taken_at TEXT,
+    expires_at TEXT,
+    highlight_id TEXT,
+    highlight_title TEXT,
+    local_media_id TEXT,
+    local_media_path TEXT,
+    account TEXT,
+    run_id TEXT,
+    first_seen_at TEXT NOT NULL,
+    tracked INTEGER NOT NULL DEFAULT 1,
+    delivery_status TEXT NOT NULL DEFAULT 'pending',
+    delivered_at TEXT,
+    delivery_error TEXT,
+    data TEXT,
+    UNIQUE (username, kind, story_key)
+  );
+
+  CREATE INDEX idx_stories_username_taken_at ON stories (username, taken_at);
+  CREATE INDEX idx_stories_first_seen_at ON stories (first_seen_at);
+  CREATE INDEX idx_stories_run_id ON stories (run_id);
+  CREATE INDEX idx_stories_delivery_status ON stories (delivery_status);
+  `,
+  `
+  CREATE TABLE tracker_imports (
+    username TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    imported_at TEXT NOT NULL,
+    imported_keys INTEGER NOT NULL,
+    PRIMARY KEY (username, kind)
+  );
+  `,
+];
+
+/**
+ * Key a story is deduplicated by, as in the JSON tracker
+ */
+export function storyKey(story) {
+  return story.ig_pk ? String(story.ig_pk) : story.media_url || null;
+}
+
+/**
+ * First-seen time of an imported key, normalized since first-seen times are compared as strings
+ */
+function firstSeenAt(value, now) {
+  const date = new Date(value || now);
+  return Number.isNaN(date.getTime()) ? now : date.toISOString();
+}
+
+/**
+ * Archive row of a story
+ */
+function storyRow(story, { username, kind, runId, account, deliveryStatus, now }) {
+  const localMediaId = story.local_video_id || story.local_image_id || null;
+  const localMediaPath = story.local_video_id
+    ? getVideoPath(story.local_video_id)
+    : story.local_image_id ? getImagePath(story.local_image_id) : null;
+
+  return {
+    username,
+    kind,
+    story_key: storyKey(story),
+    ig_pk: story.ig_pk ? String(story.ig_pk) : null,
+    media_type: story.is_video ? 'video' : 'image',
+    media_url: story.media_url || null,
+    story_link: story.story_link || null,
+    has_link: story.story_link ? 1 : 0,
+    caption: story.caption || null,
+    taken_at: story.taken_at || null,
+    expires_at: story.expires_at || null,
+    highlight_id: story.highlight_id || null,
+    highlight_title: story.highlight_title || null,
+    local_media_id: localMediaId,
+    local_media_path: localMediaPath,
+    account: account || null,
+    run_id: runId || null,
+    first_seen_at: now,
+    delivery_status: deliveryStatus,
+    data: JSON.stringify(story),
+  };
+}
+
+/**
+ * Turn a row back into an API-friendly object, with the full story parsed
+ */
+function fromRow(row) {
+  const { data, has_link: hasLink, tracked, ...rest } = row;
+  return { ...rest, has_link: Boolean(hasLink), tracked: Boolean(tracked), story: data ? JSON.parse(data) : null };
+}
+
+export class StoryArchive {
+  constructor(file = config.archive.file) {
+    this.file = file;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and bring its schema up to date
+   */
+  open() {
+    if (this.db) return this;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    // Overlapping runs (cron, CLI) share the file: WAL lets readers work during a write, writers wait their turn
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version < MIGRATIONS.length) {
+      this.db.transaction(() => {
+        MIGRATIONS.slice(version).forEach(sql => this.db.exec(sql));
+        this.db.pragma(`user_version = ${MIGRATIONS.length}`);
+      })();
+      log(`Story archive schema at version ${MIGRATIONS.length} (${this.file})`);
+    }
+    return this;
+  }
+
+  close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  /**
+   * Record the start of a run
+   */
+  startRun(runId) {
+    this.open().db
+      .prepare('INSERT OR IGNORE INTO runs (run_id, started_at) VALUES (?, ?)')
+      .run(runId, new Date().toISOString());
+  }
+
+  /**
+   * Record the end of a run with its per-target summaries
+   */
+  finishRun(runId, summaries, totalNewStories) {
+    this.open().db
+      .prepare('UPDATE runs SET finished_at = ?, targets = ?, total_new_stories = ? WHERE run_id = ?')
+      .run(new Date().toISOString(), JSON.stringify(summaries), totalNewStories, runId);
+  }
+
+  /**
+   * Store the new stories of a target
+   * `deliveryStatus` is pending when the stories are queued for the API, skipped when there is no API
+   * A story already archived (e.g. a bare ID from a tracker import) gets its metadata filled in and is tracked again;
+   * its first-seen time is kept
+   * Returns the number of stories written
+   */
+  recordStories(stories, { username, kind = 'stories', runId = null, account = null, deliveryStatus = DeliveryStatus.PENDING }) {
+    const now = new Date().toISOString();
+    const upsert = this.open().db.prepare(`
+      INSERT INTO stories (
+        username, kind, story_key, ig_pk, media_type, media_url, story_link, has_link, caption, taken_at, expires_at,
+        highlight_id, highlight_title, local_media_id, local_media_path, account, run_id, first_seen_at, delivery_status, data
+      ) VALUES (
+        @username, @kind, @story_key, @ig_pk, @media_type, @media_url, @story_link, @has_link, @caption, @taken_at, @expires_at,
+        @highlight_id, @highlight_title, @local_media_id, @local_media_path, @account, @run_id, @first_seen_at, @delivery_status, @data
+      )
+      ON CONFLICT (username, kind, story_key) DO UPDATE SET
+        ig_pk = excluded.ig_pk, media_type = excluded.media_type, media_url = excluded.media_url,
+        story_link = excluded.story_link, has_link = excluded.has_link, caption = excluded.caption,
+        taken_at = excluded.taken_at, expires_at = excluded.expires_at, highlight_id = excluded.highlight_id,
+        highlight_title = excluded.highlight_title, local_media_id = excluded.local_media_id,
+        local_media_path = excluded.local_media_path, account = excluded.account, run_id = excluded.run_id,
+        delivery_status = excluded.delivery_status, delivered_at = NULL, delivery_error = NULL, data = excluded.data, tracked = 1
+    `);
+
+    const rows = stories
+      .map(story => storyRow(story, { username, kind, runId, account, deliveryStatus, now }))
+      .filter(row => row.story_key);
+    this.db.transaction(() => rows.forEach(row => upsert.run(row)))();
+    return rows.length;
+  }
+
+  /**
+   * Set the delivery status of stories, given as [{ username, kind, key }] (as kept by outbox entries)
+   */
+  markDelivery(stories, status, error = null) {
+    const update = this.open().db.prepare(`
+      UPDATE stories SET delivery_status = ?, delivered_at = ?, delivery_error = ?
+      WHERE username = ? AND kind = ? AND story_key = ?
+    `);
+    const deliveredAt = status === DeliveryStatus.DELIVERED ? new Date().toISOString() : null;
+    return this.db.transaction(() => stories.reduce(
+      (changed, s) => changed + update.run(status, deliveredAt, error, s.username, s.kind, s.key).changes, 0
+    ))();
+  }
+
+  /**
+   * Query archived stories, newest first
+   * Filters: username, kind, type ('video' | 'image'), hasLink, since / until (on taken_at, falling back to
+   * first_seen_at), deliveryStatus, runId; `limit` defaults to 100
+   */
+  query({ username, kind, type, hasLink, since, until, deliveryStatus, runId, limit = 100, offset = 0 } = {}) {
+    const filters = [
+      ['username = @username', { username }],
+      ['kind = @kind', { kind }],
+      ['media_type = @type', { type }],
+      ['has_link = @hasLink', { hasLink: hasLink === undefined || hasLink === null ? undefined : Number(Boolean(hasLink)) }],
+      ['COALESCE(taken_at, first_seen_at) >= @since', { since: since ? new Date(since).toISOString() : undefined }],
+      ['COALESCE(taken_at, first_seen_at) < @until', { until: until ? new Date(until).toISOString() : undefined }],
+      ['delivery_status = @deliveryStatus', { deliveryStatus }],
+      ['run_id = @runId', { runId }],
+    ].filter(([, param]) => Object.values(param)[0] !== undefined && Object.values(param)[0] !== '');
+
+    const where = ['data IS NOT NULL', ...filters.map(([clause]) => clause)];
+    const params = Object.assign({}, ...filters.map(([, param]) => param));
+
+    return this.open().db
+      .prepare(`SELECT * FROM stories WHERE ${where.join(' AND ')} ORDER BY COALESCE(taken_at, first_seen_at) DESC, id DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+      .map(fromRow);
+  }
+
+  /**
+   * Story counts per target, kind and delivery status
+   */
+  stats() {
+    return this.open().db.prepare(`
+      SELECT username, kind, COUNT(*) AS stories, SUM(has_link) AS with_links,
+        SUM(delivery_status = 'delivered') AS delivered, SUM(delivery_status = 'failed') AS failed,
+        MIN(first_seen_at) AS first_seen, MAX(first_seen_at) AS last_seen
+      FROM stories WHERE data IS NOT NULL GROUP BY username, kind ORDER BY username, kind
+    `).all();
+  }
+
+  /**
+   * Local media IDs of archived stories, as id -> number of stories using the file
+   */
+  mediaReferences() {
+    const rows = this.open().db.prepare(`
+      SELECT local_media_id AS id, COUNT(*) AS stories FROM stories
+      WHERE local_media_id IS NOT NULL GROUP BY local_media_id
+    `).all();
+    return new Map(rows.map(row => [row.id, row.stories]));
+  }
+
+  // --- Tracker backend (TRACKER_BACKEND=archive) ---
+
+  /**
+   * Tracked keys of a target with their first-seen time, oldest first, optionally only those seen since `cutoff`
+   */
+  trackedEntries(username, kind, cutoff = null) {
+    return this.open().db
+      .prepare(`SELECT story_key AS id, first_seen_at AS first_seen FROM stories
+        WHERE username = ? AND kind = ? AND tracked = 1 AND (? IS NULL OR first_seen_at >= ?)
+        ORDER BY first_seen_at, id`)
+      .all(username, kind, cutoff, cutoff);
+  }
+
+  /**
+   * Track keys without story data (tracker imports); keys already archived are tracked again
+   * `firstSeen` maps key -> first-seen time, defaulting to now
+   * Returns the number of keys that were not tracked before
+   */
+  trackKeys(username, kind, keys, firstSeen = {}) {
+    const now = new Date().toISOString();
+    const insert = this.open().db.prepare(`
+      INSERT INTO stories (username, kind, story_key, first_seen_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (username, kind, story_key) DO UPDATE SET tracked = 1 WHERE tracked = 0
+    `);
+    return this.db.transaction(() => keys.reduce((added, key) => added + insert.run(username, kind, String(key), firstSeenAt(firstSeen[key], now)).changes, 0))();
+  }
+
+  /**
+   * Stop tracking keys: the stories stay in the archive but are no longer deduplicated against
+   * Without `keys`, every key of the target
+   */
+  untrackKeys(username, kind, keys = null) {
+    const db = this.open().db;
+    if (!keys) {
+      return db.prepare('UPDATE stories SET tracked = 0 WHERE username = ? AND kind = ? AND tracked = 1').run(username, kind).changes;
+    }
+    const update = db.prepare('UPDATE stories SET tracked = 0 WHERE username = ? AND kind = ? AND story_key = ? AND tracked = 1');
+    return db.transaction(() => keys.reduce((removed, key) => removed + update.run(username, kind, key).changes, 0))();
+  }
+
+  /**
+   * Whether the JSON tracker of a target was already imported
+   */
+  isTrackerImported(username, kind) {
+    return Boolean(this.open().db.prepare('SELECT 1 FROM tracker_imports WHERE username = ? AND kind = ?').get(username, kind));
+  }
+
+  /**
+   * Import the keys of a JSON tracker once per target, recording the import
+   * Keys already in the archive are left as they are (an untracked story stays untracked)
+   * Returns the number of keys added, or null when the target was imported before
+   */
+  importTracker(username, kind, keys, firstSeen = {}) {
+    const db = this.open().db;
+    const now = new Date().toISOString();
+    const insert = db.prepare(`
+      INSERT INTO stories (username, kind, story_key, first_seen_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (username, kind, story_key) DO NOTHING
+    `);
+    return db.transaction(() => {
+      if (this.isTrackerImported(username, kind)) return null;
+      const added = keys.reduce((count, key) => count + insert.run(username, kind, String(key), firstSeenAt(firstSeen[key], now)).changes, 0);
+      db.prepare('INSERT INTO tracker_imports (username, kind, imported_at, imported_keys) VALUES (?, ?, ?, ?)')
+        .run(username, kind, now, added);
+      return added;
+    })();
+  }
+}
+
+let sharedArchive = null;
+
+/**
+ * The process-wide archive, or null when ARCHIVE_ENABLED=false
+ */
+export function getArchive() {
+  if (!config.archive.enabled) return null;
+  if (!sharedArchive) {
+    sharedArchive = new StoryArchive().open();
+  }
+  return sharedArchive;
+}
@@ -0,0 +1,378 @@
+/**
+ * Story Media Parser
+ * Extracts story items from the reels/stories JSON the Instagram web client fetches
+ * (GraphQL `xdt_api__v1__feed__reels_media` and REST `/api/v1/feed/reels_media/`)
+ */
+
+// Responses that may carry story media JSON
+const STORY_RESPONSE_PATTERN = /\/graphql\/query|\/api\/graphql|\/api\/v1\/feed\/reels_media|\/api\/v1\/feed\/user\/\d+\/story|\/api\/v1\/feed\/reels_tray/;
+
+// Guard against pathological payloads
+const MAX_WALK_DEPTH = 25;
+
+/**
+ * Check if a response URL may contain story media JSON
+ */
+export function isStoryMediaResponse(url) {
+  return STORY_RESPONSE_PATTERN.test(url);
+}
+
+/**
+ * Parse a response body into JSON payloads
+ * Handles the `for (;;);` guard prefix and newline-delimited streamed GraphQL chunks
+ */
+export function parseResponseBody(text) {
+  if (!text) return [];
+
+  const body = text.replace(/^\s*for\s*\(;;\);/, '').trim();
+  if (!body.startsWith('{') && !body.startsWith('[')) return [];
+
+  try {
+    return [JSON.parse(body)];
+  } catch {
+    // Streamed responses: one JSON document per line
+    const payloads = [];
+    for (const line of body.split('\n')) {
+      const chunk = line.trim();
+      if (!chunk.startsWith('{')) continue;
+      try {
+        payloads.push(JSON.parse(chunk));
+      } catch {
+        // Skip partial chunks
+      }
+    }
+    return payloads;
+  }
+}
+
+/**
+ * Check if a JSON node looks like a story media item
+ */
+function isStoryItem(node) {
+  return Boolean(
+    node &&
+    typeof node === 'object' &&
+    (node.pk || node.id) &&
+    typeof node.taken_at === 'number' &&
+    (node.image_versions2 || node.video_versions)
+  );
+}
+
+/**
+ * Pick the candidate with the largest resolution
+ */
+function pickBestCandidate(candidates) {
+  if (!Array.isArray(candidates) || candidates.length === 0) return null;
+  return candidates.reduce((best, candidate) => {
+    const area = (candidate.width || 0) * (candidate.height || 0);
+    const bestArea = (best.width || 0) * (best.height || 0);
+    return area > bestArea ? candidate : best;
+  });
+}
+
+/**
+ * Convert a unix timestamp (seconds) to ISO 8601
+ */
+function toIso(seconds) {
+  return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Empty stickers structure, used when a story has no interactive stickers
+ */
+export function emptyStickers() {
+  return {
+    mentions: [],
+    hashtags: [],
+    locations: [],
+    polls: [],
+    quizzes: [],
+    questions: [],
+    sliders: [],
+    links: [],
+    music: null,
+  };
+}
+
+/**
+ * Unwrap Instagram's outbound redirect (l.instagram.com/?u=...)
+ */
+export function unwrapLink(url) {
+  if (!url) return url;
+  try {
+    const u = new URL(url);
+    if (u.hostname === 'l.instagram.com' && u.searchParams.get('u')) {
+      return u.searchParams.get('u');
+    }
+  } catch {
+    // Not an absolute URL, keep as-is
+  }
+  return url;
+}
+
+/**
+ * Map poll/quiz tallies to { text, count }
+ */
+function mapTallies(tallies) {
+  return (tallies || []).map(t => ({ text: t.text ?? null, count: t.count ?? null }));
+}
+
+/**
+ * Extract the interactive stickers of a raw story item
+ */
+export function extractStickers(item) {
+  const stickers = emptyStickers();
+
+  for (const mention of item.reel_mentions || []) {
+    if (!mention.user?.username) continue;
+    stickers.mentions.push({
+      username: mention.user.username,
+      full_name: mention.user.full_name || null,
+      user_id: mention.user.pk || mention.user.id || null,
+    });
+  }
+
+  for (const tag of item.story_hashtags || []) {
+    if (!tag.hashtag?.name) continue;
+    stickers.hashtags.push({ name: tag.hashtag.name });
+  }
+
+  for (const entry of item.story_locations || []) {
+    const location = entry.location;
+    if (!location) continue;
+    stickers.locations.push({
+      id: location.pk || location.id || null,
+      name: location.name || null,
+      address: location.address || null,
+      city: location.city || null,
+      lat: location.lat ?? null,
+      lng: location.lng ?? null,
+    });
+  }
+
+  for (const entry of item.story_polls || []) {
+    const poll = entry.poll_sticker;
+    if (!poll) continue;
+    stickers.polls.push({
+      id: poll.poll_id || poll.id || null,
+      question: poll.question || null,
+      options: mapTallies(poll.tallies),
+    });
+  }
+
+  for (const entry of item.story_quizs || []) {
+    const quiz = entry.quiz_sticker;
+    if (!quiz) continue;
+    stickers.quizzes.push({
+      id: quiz.quiz_id || quiz.id || null,
+      question: quiz.question || null,
+      options: mapTallies(quiz.tallies),
+      correct_answer: quiz.correct_answer ?? null,
+    });
+  }
+
+  for (const entry of item.story_questions || []) {
+    const question = entry.question_sticker;
+    if (!question) continue;
+    stickers.questions.push({
+      id: question.question_id || null,
+      question: question.question || null,
+      type: question.question_type || null,
+    });
+  }
+
+  for (const entry of item.story_sliders || []) {
+    const slider = entry.slider_sticker;
+    if (!slider) continue;
+    stickers.sliders.push({
+      id: slider.slider_id || null,
+      question: slider.question || null,
+      emoji: slider.emoji || null,
+      average: slider.slider_vote_average ?? null,
+      vote_count: slider.slider_vote_count ?? null,
+    });
+  }
+
+  for (const entry of item.story_link_stickers || []) {
+    const link = entry.story_link;
+    if (!link?.url) continue;
+    stickers.links.push({
+      url: unwrapLink(link.url),
+      display_text: link.display_url || link.link_title || null,
+      title: link.link_title || null,
+    });
+  }
+
+  // Legacy swipe-up links
+  for (const cta of item.story_cta || []) {
+    for (const link of cta.links || []) {
+      const url = unwrapLink(link.webUri || link.url);
+      if (url && !stickers.links.some(l => l.url === url)) {
+        stickers.links.push({ url, display_text: null, title: null });
+      }
+    }
+  }
+
+  const musicInfo = item.story_music_stickers?.[0]?.music_asset_info ||
+    item.music_metadata?.music_info?.music_asset_info;
+  if (musicInfo) {
+    stickers.music = {
+      title: musicInfo.title || null,
+      artist: musicInfo.display_artist || null,
+      audio_asset_id: musicInfo.audio_asset_id || musicInfo.id || null,
+    };
+  }
+
+  return stickers;
+}
+
+/**
+ * Build stickers from the anchors of the story viewer, when no media JSON is available
+ * Only mentions, hashtags and links can be recovered from the DOM
+ */
+export function extractStickersFromAnchors(anchors) {
+  const stickers = emptyStickers();
+
+  for (const { href, text } of anchors) {
+    if (!href) continue;
+
+    let u;
+    try {
+      u = new URL(href);
+    } catch {
+      continue;
+    }
+
+    if (u.hostname.endsWith('instagram.com') && u.hostname !== 'l.instagram.com') {
+      const tagMatch = u.pathname.match(/^\/explore\/tags\/([^/]+)/);
+      const userMatch = u.pathname.match(/^\/([A-Za-z0-9._]+)\/?$/);
+      if (tagMatch) {
+        const name = decodeURIComponent(tagMatch[1]);
+        if (!stickers.hashtags.some(h => h.name === name)) stickers.hashtags.push({ name });
+      } else if (userMatch && text?.trim().startsWith('@')) {
+        const username = userMatch[1];
+        if (!stickers.mentions.some(m => m.username === username)) {
+          stickers.mentions.push({ username, full_name: null, user_id: null });
+        }
+      }
+      continue;
+    }
+
+    const url = unwrapLink(href);
+    if (!stickers.links.some(l => l.url === url)) {
+      stickers.links.push({ url, display_text: text?.trim() || null, title: null });
+    }
+  }
+
+  return stickers;
+}
+
+/**
+ * Normalize a raw story item into the fields the scraper needs
+ */
+export function normalizeStoryItem(item, reel = null) {
+  // Some payloads only have `id` in the form "<pk>_<user_id>"
+  const pk = String(item.pk || item.id).split('_')[0];
+  const videoVersions = (item.video_versions || []).map(v => ({
+    url: v.url,
+    width: v.width || null,
+    height: v.height || null,
+    type: v.type ?? null,
+  }));
+  const imageCandidates = (item.image_versions2?.candidates || []).map(c => ({
+    url: c.url,
+    width: c.width || null,
+    height: c.height || null,
+  }));
+  const mediaType = item.media_type || (videoVersions.length > 0 ? 2 : 1);
+  const expiringAt = typeof item.expiring_at === 'number' ? item.expiring_at : item.taken_at + 24 * 60 * 60;
+  const ownerUser = item.user || reel?.user;
+  // Highlight reels are identified as "highlight:<id>"
+  const reelId = reel?.id ? String(reel.id) : null;
+  const highlightId = reelId?.startsWith('highlight:') ? reelId.slice('highlight:'.length) : null;
+
+  return {
+    pk,
+    reel_id: reelId,
+    highlight_id: highlightId,
+    highlight_title: highlightId ? reel.title || null : null,
+    owner_username: ownerUser?.username || null,
+    owner_id: ownerUser?.pk || ownerUser?.id || null,
+    media_type: mediaType,
+    is_video: mediaType === 2,
+    taken_at: toIso(item.taken_at),
+    expiring_at: toIso(expiringAt),
+    original_width: item.original_width || null,
+    original_height: item.original_height || null,
+    video_versions: videoVersions,
+    image_candidates: imageCandidates,
+    best_video: pickBestCandidate(videoVersions),
+    best_image: pickBestCandidate(imageCandidates),
+    caption: item.caption?.text || null,
+    stickers: extractStickers(item),
+    raw: item,
+  };
+}
+
+/**
+ * Walk a JSON payload and collect every story item, keeping track of the enclosing reel
+ */
+export function extractStoryItems(payload) {
+  const items = [];
+  const visited = new Set();
+
+  const walk = (node, reel, depth) => {
+    if (!node || typeof node !== 'object' || depth > MAX_WALK_DEPTH || visited.has(node)) return;
+    visited.add(node);
+
+    if (Array.isArray(node)) {
+      for (const child of node) walk(child, reel, depth + 1);
+      return;
+    }
+
+    if (isStoryItem(node)) {
+      items.push(normalizeStoryItem(node, reel));
+      return;
+    }
+
+    // A reel is `{ id, user, title?, items: [...] }`; its user owns the items below it
+    const currentReel = Array.isArray(node.items) && node.user?.username ? node : reel;
+    for (const value of Object.values(node)) {
+      walk(value, currentReel, depth + 1);
+    }
+  };
+
+  walk(payload, null, 0);
+  return items;
+}
+
+/**
+ * Walk a JSON payload and collect highlight trays ({ id: "highlight:<id>", title })
+ */
+export function extractHighlightTrays(payload) {
+  const trays = new Map();
+  const visited = new Set();
+
+  const walk = (node, depth) => {
+    if (!node || typeof node !== 'object' || depth > MAX_WALK_DEPTH || visited.has(node)) return;
+    visited.add(node);
+
+    if (!Array.isArray(node) && typeof node.id === 'string' && node.id.startsWith('highlight:')) {
+      const id = node.id.slice('highlight:'.length);
+      if (!trays.has(id)) {
+        trays.set(id, {
+          id,
+          title: typeof node.title === 'string' ? node.title : null,
+          media_count: node.media_count ?? null,
+        });
+      }
+    }
+
+    for (const value of Object.values(node)) {
+      walk(value, depth + 1);
+    }
+  };
+
+  walk(payload, 0);
+  return Array.from(trays.values());
+}
@@ -1,62 +1,258 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { config } from '../config/env.js';
 import { log } from '../utils/logger.js';
+import { writeFileAtomic, withFileLock } from '../utils/atomicFile.js';
+import { getArchive } from './storyArchive.js';
+
+const TRACKER_DIR = config.tracker.dir;
+
+// Tracker files written before first-seen timestamps existed have `processed_ids` and no version
+const TRACKER_VERSION = 2;
+
+// Parsed trackers by file, reused while the file's mtime and size don't change
+const trackerCache = new Map();
+
+/**
+ * Thrown when a tracker file can't be parsed and neither can its backup
+ * Treating it as empty would resend every story, so the target fails instead
+ */
+export class TrackerCorruptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TrackerCorruptError';
+  }
+}
+
+/**
+ * Every tracker file on disk, as { username, kind, file }
+ */
+export async function listTrackers() {
+  const files = await fs.readdir(TRACKER_DIR).catch(() => []);
+  return files
+    .filter(f => f.endsWith('.json') && f.includes('_'))
+    .map((f) => {
+      // Kinds have no underscore, usernames may
+      const name = f.slice(0, -'.json'.length);
+      const separator = name.indexOf('_');
+      return { kind: name.slice(0, separator), username: name.slice(separator + 1), file: path.join(TRACKER_DIR, f) };
+    });
+}
 
 /**
  * Track processed story IDs to avoid duplicates
+ * `kind` separates trackers per content type (e.g. 'stories', 'highlights')
+ *
+ * Each ID is stored with the time it was first seen ({ entries: { id: ISO date } }) and dropped
+ * once it is older than the kind's retention window (config.tracker.retentionHours)
+ *
+ * Writes are atomic (temp file + rename) and keep the previous version in `<file>.bak`;
+ * read-modify-write cycles hold `<file>.lock` so overlapping runs don't lose IDs
+ *
+ * With TRACKER_BACKEND=archive the IDs are the tracked stories of the SQLite archive instead of the JSON file,
+ * which is imported once into the archive the first time a target is used
  */
 export class StoryTracker {
-  constructor(username) {
+  constructor(username, kind = 'stories') {
     this.username = username;
-    const trackerDir = path.join(process.cwd(), 'story_tracker');
-    this.trackerFile = path.join(trackerDir, `stories_${username}.json`);
+    this.kind = kind;
+    this.trackerFile = path.join(TRACKER_DIR, `${kind}_${username}.json`);
+    this.backupFile = `${this.trackerFile}.bak`;
+    this.retentionHours = config.tracker.retentionHours[kind] ?? 0;
+    this.archive = config.tracker.backend === 'archive' ? getArchive() : null;
     this.ensureDir();
   }
 
+  /**
+   * Start of the retention window as an ISO date (null when IDs are kept forever)
+   */
+  retentionCutoff() {
+    return this.retentionHours ? new Date(Date.now() - this.retentionHours * 60 * 60 * 1000).toISOString() : null;
+  }
+
+  /**
+   * Import the JSON tracker of a target into the archive, once
+   * The archive may already hold stories of the target (archived while the JSON backend was in use): the import
+   * is recorded per target rather than inferred from them
+   */
+  async seedArchive() {
+    if (this.archiveSeeded) return;
+    this.archiveSeeded = true;
+    if (this.archive.isTrackerImported(this.username, this.kind)) return;
+
+    const tracker = await this.load();
+    const ids = Object.keys(tracker.entries);
+    const added = this.archive.importTracker(this.username, this.kind, ids, tracker.entries);
+    if (added) {
+      log(`Tracker ${path.basename(this.trackerFile)} imported into the story archive: ${added} of ${ids.length} IDs`);
+    }
+  }
+
   /**
    * Ensure tracker directory exists
    */
   async ensureDir() {
-    const trackerDir = path.join(process.cwd(), 'story_tracker');
     try {
-      await fs.mkdir(trackerDir, { recursive: true });
+      await fs.mkdir(TRACKER_DIR, { recursive: true });
     } catch (error) {
       // Ignore if directory already exists
     }
   }
 
+  /**
+   * Empty tracker data
+   */
+  emptyTracker() {
+    return {
+      username: this.username,
+      kind: this.kind,
+      version: TRACKER_VERSION,
+      entries: {},
+      last_updated: null,
+    };
+  }
+
   /**
    * Load existing tracker data
+   * The file is only parsed again when it changed since the last load; the caller gets its own copy
+   * A corrupted file is restored from its backup; throws TrackerCorruptError when that fails too
+   * `locked` when the caller holds the tracker's lock (update()); a legacy file is only migrated under the lock
    */
-  async load() {
+  async load({ locked = false } = {}) {
+    let stats;
     try {
-      const data = await fs.readFile(this.trackerFile, 'utf-8');
-      const tracker = JSON.parse(data);
-      log(`Loaded tracker: ${tracker.processed_ids?.length || 0} processed stories`);
-      return tracker;
+      stats = await fs.stat(this.trackerFile);
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        log(`⚠ Error loading tracker: ${error.message}`);
-      }
+      if (error.code !== 'ENOENT') throw error;
+      trackerCache.delete(this.trackerFile);
       // Return empty tracker if file doesn't exist
-      return {
-        username: this.username,
-        processed_ids: [],
-        last_updated: null,
-      };
+      return this.emptyTracker();
+    }
+
+    const cached = trackerCache.get(this.trackerFile);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return { ...cached.tracker, entries: { ...cached.tracker.entries } };
     }
+
+    let tracker;
+    try {
+      tracker = JSON.parse(await fs.readFile(this.trackerFile, 'utf-8'));
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      tracker = await this.restoreBackup(error);
+    }
+
+    if (tracker.version !== TRACKER_VERSION) {
+      // Migrating rewrites the file: take the lock and read it again (another run may have migrated it meanwhile)
+      if (!locked) {
+        return this.update(current => ({ ...current, entries: { ...current.entries } }));
+      }
+      return this.migrate(tracker);
+    }
+
+    const current = await fs.stat(this.trackerFile);
+    trackerCache.set(this.trackerFile, { mtimeMs: current.mtimeMs, size: current.size, tracker });
+    log(`Loaded tracker: ${Object.keys(tracker.entries).length} processed stories`);
+    return { ...tracker, entries: { ...tracker.entries } };
   }
 
   /**
-   * Save tracker data
+   * Replace a corrupted tracker file with its backup, keeping the corrupted file aside for inspection
+   */
+  async restoreBackup(parseError) {
+    let content;
+    let tracker;
+    try {
+      content = await fs.readFile(this.backupFile, 'utf-8');
+      tracker = JSON.parse(content);
+    } catch (error) {
+      throw new TrackerCorruptError(
+        `Tracker ${this.trackerFile} is corrupted (${parseError.message}) and its backup can't be used (${error.message})`
+      );
+    }
+
+    const corruptFile = `${this.trackerFile}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    await fs.rename(this.trackerFile, corruptFile).catch(() => {});
+    await writeFileAtomic(this.trackerFile, content);
+    log(`⚠ Tracker ${path.basename(this.trackerFile)} was corrupted (${parseError.message}): restored from backup, corrupted copy kept in ${corruptFile}`);
+    return tracker;
+  }
+
+  /**
+   * Load, change and save the tracker while holding its lock
+   * `mutate(tracker)` changes the tracker in place; its return value is returned
+   */
+  async update(mutate) {
+    await this.ensureDir();
+    return withFileLock(this.trackerFile, async () => {
+      const tracker = await this.load({ locked: true });
+      const result = await mutate(tracker);
+      await this.save(tracker);
+      return result;
+    }, { timeout: config.tracker.lockTimeout });
+  }
+
+  /**
+   * Convert a tracker file without timestamps: its IDs count as first seen at its last update,
+   * so they age out of the retention window like any other
+   * Called by load() under the lock; update() then saves the converted tracker
+   */
+  async migrate(legacy) {
+    const tracker = this.emptyTracker();
+    const lastUpdated = new Date(legacy.last_updated || Date.now());
+    const firstSeen = Number.isNaN(lastUpdated.getTime()) ? new Date().toISOString() : lastUpdated.toISOString();
+    for (const id of legacy.processed_ids || []) {
+      tracker.entries[id] = firstSeen;
+    }
+
+    log(`Tracker ${path.basename(this.trackerFile)} migrated: ${Object.keys(tracker.entries).length} IDs, first seen ${firstSeen}`);
+    return tracker;
+  }
+
+  /**
+   * Drop entries first seen before the retention window, and entries whose date can't be parsed
+   * Returns the number of entries removed
+   */
+  pruneExpired(tracker) {
+    const cutoff = this.retentionCutoff();
+    if (!cutoff) return 0;
+
+    const cutoffMs = Date.parse(cutoff);
+    let removed = 0;
+    for (const [id, firstSeen] of Object.entries(tracker.entries)) {
+      const firstSeenMs = Date.parse(firstSeen);
+      if (Number.isNaN(firstSeenMs) || firstSeenMs < cutoffMs) {
+        delete tracker.entries[id];
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Save tracker data, without the entries past the retention window
+   * Callers changing loaded data go through update() so the save happens under the lock
    */
   async save(tracker) {
     try {
+      const expired = this.pruneExpired(tracker);
+      tracker.version = TRACKER_VERSION;
       tracker.last_updated = new Date().toISOString();
-      await fs.writeFile(this.trackerFile, JSON.stringify(tracker, null, 2));
-      log(`Tracker saved: ${tracker.processed_ids.length} total processed stories`);
+
+      // The current file is always complete (it was renamed into place), so it's a valid backup
+      await fs.copyFile(this.trackerFile, this.backupFile).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      await writeFileAtomic(this.trackerFile, JSON.stringify(tracker, null, 2));
+
+      const stats = await fs.stat(this.trackerFile);
+      trackerCache.set(this.trackerFile, { mtimeMs: stats.mtimeMs, size: stats.size, tracker: { ...tracker, entries: { ...tracker.entries } } });
+      log(`Tracker saved: ${Object.keys(tracker.entries).length} total processed stories` +
+        (expired > 0 ? ` (${expired} older than ${this.retentionHours}h pruned)` : ''));
     } catch (error) {
+      trackerCache.delete(this.trackerFile);
       log(`⚠ Error saving tracker: ${error.message}`);
+      throw error;
     }
   }
 
@@ -64,29 +260,53 @@ export class StoryTracker {
    * Get all processed story IDs
    */
   async getProcessedIds() {
+    if (this.archive) {
+      return new Set((await this.getEntries()).map(e => e.id));
+    }
     const tracker = await this.load();
-    return new Set(tracker.processed_ids || []);
+    return new Set(Object.keys(tracker.entries));
   }
 
   /**
-   * Add new story IDs to tracker
+   * Processed IDs with the time they were first seen, oldest first
    */
-  async addStoryIds(storyIds) {
+  async getEntries() {
+    if (this.archive) {
+      await this.seedArchive();
+      return this.archive.trackedEntries(this.username, this.kind, this.retentionCutoff());
+    }
     const tracker = await this.load();
-    const currentIds = new Set(tracker.processed_ids || []);
+    return Object.entries(tracker.entries)
+      .map(([id, firstSeen]) => ({ id, first_seen: firstSeen }))
+      .sort((a, b) => String(a.first_seen).localeCompare(String(b.first_seen)));
+  }
 
-    let added = 0;
-    for (const id of storyIds) {
-      if (!currentIds.has(id)) {
-        currentIds.add(id);
-        added++;
-      }
+  /**
+   * Add new story IDs to tracker
+   */
+  async addStoryIds(storyIds) {
+    if (this.archive) {
+      await this.seedArchive();
+      const added = this.archive.trackKeys(this.username, this.kind, storyIds);
+      const entries = await this.getEntries();
+      log(`Added ${added} new story IDs to tracker (total: ${entries.length})`);
+      return { username: this.username, kind: this.kind, entries: Object.fromEntries(entries.map(e => [e.id, e.first_seen])) };
     }
 
-    tracker.processed_ids = Array.from(currentIds);
-    await this.save(tracker);
+    const now = new Date().toISOString();
 
-    log(`Added ${added} new story IDs to tracker (total: ${tracker.processed_ids.length})`);
+    const { tracker, added } = await this.update((tracker) => {
+      let added = 0;
+      for (const id of storyIds) {
+        if (!Object.hasOwn(tracker.entries, id)) {
+          tracker.entries[id] = now;
+          added++;
+        }
+      }
+      return { tracker, added };
+    });
+
+    log(`Added ${added} new story IDs to tracker (total: ${Object.keys(tracker.entries).length})`);
     return tracker;
   }
 
@@ -132,20 +352,55 @@ export class StoryTracker {
    * Get tracker statistics
    */
   async getStats() {
-    const tracker = await this.load();
+    const firstSeen = (await this.getEntries()).map(e => e.first_seen);
+    // The archive has no file: its last update is the last ID added
+    const lastUpdated = this.archive ? firstSeen[firstSeen.length - 1] || null : (await this.load()).last_updated;
     return {
       username: this.username,
-      total_processed: tracker.processed_ids?.length || 0,
-      last_updated: tracker.last_updated,
+      total_processed: firstSeen.length,
+      oldest_first_seen: firstSeen[0] || null,
+      newest_first_seen: firstSeen[firstSeen.length - 1] || null,
+      retention_hours: this.retentionHours,
+      last_updated: lastUpdated,
     };
   }
 
+  /**
+   * Keep only the `keep` most recently seen IDs
+   * Returns the number of IDs removed
+   */
+  async prune(keep) {
+    if (this.archive) {
+      const entries = await this.getEntries();
+      return this.archive.untrackKeys(this.username, this.kind, entries.slice(0, Math.max(entries.length - keep, 0)).map(e => e.id));
+    }
+
+    return this.update((tracker) => {
+      const entries = Object.entries(tracker.entries).sort(([, a], [, b]) => a.localeCompare(b));
+      tracker.entries = Object.fromEntries(entries.slice(Math.max(entries.length - keep, 0)));
+      return entries.length - Object.keys(tracker.entries).length;
+    });
+  }
+
   /**
    * Clear all processed IDs (reset tracker)
    */
   async clear() {
+    if (this.archive) {
+      // Imported first, so the JSON IDs don't come back on the next run
+      await this.seedArchive();
+      // The stories stay in the archive, they just stop counting as processed
+      this.archive.untrackKeys(this.username, this.kind);
+      log('Tracker cleared');
+      return;
+    }
+
     try {
-      await fs.unlink(this.trackerFile);
+      await withFileLock(this.trackerFile, async () => {
+        await fs.rm(this.backupFile, { force: true });
+        await fs.unlink(this.trackerFile);
+      }, { timeout: config.tracker.lockTimeout });
+      trackerCache.delete(this.trackerFile);
       log('Tracker cleared');
     } catch (error) {
       if (error.code !== 'ENOENT') {
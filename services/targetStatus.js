@@ -0,0 +1,103 @@
+/**
+ * Target Status
+ * Typed outcome of scraping a target account, detected from HTTP status, URL and page content
+ */
+
+export const TargetStatus = Object.freeze({
+  OK: 'ok',
+  NO_ACTIVE_STORIES: 'no_active_stories',
+  PRIVATE: 'private',
+  NOT_FOUND: 'not_found',
+  RESTRICTED: 'age_or_region_restricted',
+  LOGIN_REQUIRED: 'login_required',
+  RATE_LIMITED: 'rate_limited',
+  // Our own actions-per-hour budget ran out (see services/pacer.js)
+  BUDGET_EXHAUSTED: 'budget_exhausted',
+  // Every account of the pool was set aside during the run: the target was not attempted
+  NO_ACCOUNT_AVAILABLE: 'no_account_available',
+  ERROR: 'error',
+});
+
+// Statuses caused by our side (session, rate limits, bugs) rather than by the target account
+const NOTIFY_STATUSES = [TargetStatus.LOGIN_REQUIRED, TargetStatus.RATE_LIMITED, TargetStatus.NO_ACCOUNT_AVAILABLE, TargetStatus.ERROR];
+
+// Page texts, checked in order: the first match wins
+const TEXT_PATTERNS = [
+  [TargetStatus.RATE_LIMITED, /please wait a few minutes before you try again|try again later|too many requests/i],
+  [TargetStatus.NOT_FOUND, /sorry, this page isn't available|page isn't available|page not found|user not found/i],
+  [TargetStatus.RESTRICTED, /restricted profile|age[- ]restricted|must be \d+ (?:years old )?or older|not available in your (?:country|region)|isn't available in your (?:country|region)/i],
+  [TargetStatus.PRIVATE, /this account is private/i],
+];
+
+/**
+ * Error carrying a target status, thrown by the scraper when a target can't be scraped
+ */
+export class TargetStatusError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TargetStatusError';
+    this.status = status;
+  }
+}
+
+/**
+ * Map an HTTP status code to a target status (null when it says nothing)
+ */
+export function classifyHttpStatus(code) {
+  if (code === 404) return TargetStatus.NOT_FOUND;
+  if (code === 429) return TargetStatus.RATE_LIMITED;
+  if (code === 401) return TargetStatus.LOGIN_REQUIRED;
+  return null;
+}
+
+/**
+ * Map a page URL to a target status (null when it says nothing)
+ */
+export function classifyUrl(url) {
+  if (/\/accounts\/login|\/accounts\/suspended|\/challenge\//.test(url)) return TargetStatus.LOGIN_REQUIRED;
+  return null;
+}
+
+/**
+ * Map visible page text to a target status (null when it says nothing)
+ * `only` limits the check to some statuses, e.g. when the text includes a user-written bio
+ */
+export function classifyPageText(text, only = null) {
+  if (!text) return null;
+  for (const [status, pattern] of TEXT_PATTERNS) {
+    if (only && !only.includes(status)) continue;
+    if (pattern.test(text)) return status;
+  }
+  return null;
+}
+
+/**
+ * Human readable message for a status
+ */
+export function describeStatus(status, username) {
+  switch (status) {
+    case TargetStatus.NO_ACTIVE_STORIES: return `Profile @${username} has no active stories`;
+    case TargetStatus.PRIVATE: return `Profile @${username} is private`;
+    case TargetStatus.NOT_FOUND: return `Profile @${username} not found`;
+    case TargetStatus.RESTRICTED: return `Profile @${username} is age or region restricted`;
+    case TargetStatus.LOGIN_REQUIRED: return `Login required to view @${username} (session expired or challenged)`;
+    case TargetStatus.RATE_LIMITED: return `Rate limited by Instagram while loading @${username}`;
+    case TargetStatus.BUDGET_EXHAUSTED: return `Action budget exhausted before finishing @${username}`;
+    case TargetStatus.NO_ACCOUNT_AVAILABLE: return `No healthy scraping account left to scrape @${username}`;
+    default: return `Profile @${username}: ${status}`;
+  }
+}
+
+/**
+ * Status of a failed target: typed errors keep theirs, anything else is a generic error
+ */
+export function statusFromError(error) {
+  return error instanceof TargetStatusError ? error.status : TargetStatus.ERROR;
+}
+
+/**
+ * Whether a status warrants an error notification
+ */
+export function shouldNotify(status) {
+  return NOTIFY_STATUSES.includes(status);
+}
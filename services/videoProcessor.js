@@ -1,8 +1,17 @@
 import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
 import fs from 'fs/promises';
 import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import fetch from 'node-fetch';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
 import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/env.js';
 import { log } from '../utils/logger.js';
+import { withRetry, getRetryPolicy, isRetryableError, HttpError } from '../utils/retry.js';
 
 /**
  * Video Processor Service
@@ -39,34 +48,219 @@ export async function checkFfmpeg() {
 }
 
 /**
- * Download a file from URL using the page context (has cookies/session)
+ * SHA-256 of a file, streamed
  */
-async function downloadFile(url, destination, page) {
-  try {
-    // Use CDP to download with proper cookies
-    const base64Data = await page.evaluate(async (url) => {
-      const response = await fetch(url);
+export function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(file)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Whether media must be downloaded by the page rather than from Node: recordings and replays keep the media in the HAR
+ */
+export function downloadsThroughPage() {
+  return Boolean(config.replayMode);
+}
+
+let proxyAgent = null;
+
+/**
+ * Agent sending the downloads through PROXY_URL, like the browser's traffic (undefined without a proxy)
+ * Accepts the forms Playwright does: http://, https://, socks5:// or a bare host:port (HTTP)
+ */
+function downloadAgent() {
+  if (!config.proxyUrl) return undefined;
+  if (!proxyAgent) {
+    const proxyUrl = config.proxyUrl.includes('://') ? config.proxyUrl : `http://${config.proxyUrl}`;
+    proxyAgent = /^socks/i.test(proxyUrl) ? new SocksProxyAgent(proxyUrl) : new HttpsProxyAgent(proxyUrl);
+  }
+  return proxyAgent;
+}
+
+/**
+ * An error the download retry policy won't retry (e.g. a file over the size limit)
+ */
+function fatalDownloadError(message) {
+  return Object.assign(new Error(message), { retryable: false });
+}
+
+/**
+ * Request headers of the browser: its user agent and the cookies its context would send to the URL
+ */
+async function browserHeaders(url, page) {
+  const cookies = await page.context().cookies(url);
+  return {
+    'User-Agent': config.userAgent,
+    Referer: `${config.instagramUrl}/`,
+    Accept: '*/*',
+    // Content-Length must describe the bytes written to disk
+    'Accept-Encoding': 'identity',
+    ...(cookies.length > 0 && { Cookie: cookies.map(c => `${c.name}=${c.value}`).join('; ') }),
+  };
+}
+
+/**
+ * Size of the complete file announced by the response (null when unknown)
+ * A 206 must continue at `offset`, otherwise the partial file doesn't match and the download restarts
+ */
+async function expectedSize(response, offset, partFile) {
+  if (response.status !== 206) {
+    const length = response.headers.get('content-length');
+    return length === null ? null : Number(length);
+  }
+
+  const range = response.headers.get('content-range')?.match(/^bytes (\d+)-\d+\/(\d+|\*)$/);
+  if (!range || Number(range[1]) !== offset) {
+    await fs.unlink(partFile).catch(() => {});
+    throw Object.assign(new Error(`Unexpected Content-Range "${response.headers.get('content-range')}", restarting download`), { retryable: true });
+  }
+  return range[2] === '*' ? null : Number(range[2]);
+}
+
+/**
+ * Stream a file to disk from Node with the browser's cookies and headers, through the proxy if any
+ * The download goes to a partial file that later attempts resume with a Range request; it must match the announced
+ * size (Content-Length or Content-Range) and stay under config.download.maxBytes. Returns { bytes, sha256 }
+ */
+async function streamDownload(url, destination, page) {
+  const headers = await browserHeaders(url, page);
+  // Destinations are unique per job, so two jobs fetching the same URL never share a partial file
+  const partFile = `${destination}.part`;
+  const { maxBytes, stallTimeout } = config.download;
+
+  return withRetry('download', async (attempt) => {
+    const offset = (await fs.stat(partFile).catch(() => null))?.size || 0;
+
+    // Aborts when no data arrived for stallTimeout ms (a total timeout would cut large videos)
+    const controller = new AbortController();
+    let stallTimer = null;
+    const armStallTimer = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => controller.abort(), stallTimeout);
+    };
+    armStallTimer();
+
+    try {
+      const response = await fetch(url, {
+        headers: offset > 0 ? { ...headers, Range: `bytes=${offset}-` } : headers,
+        compress: false,
+        agent: downloadAgent(),
+        signal: controller.signal,
+      });
+
+      if (response.status === 416) {
+        await fs.unlink(partFile).catch(() => {});
+        throw Object.assign(new Error('Partial download no longer matches the file, restarting'), { retryable: true });
+      }
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
+        throw new HttpError(response.status);
       }
-      const blob = await response.blob();
-      return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result.split(',')[1]);
-        reader.onerror = reject;
-        reader.readAsDataURL(blob);
+
+      const resumed = offset > 0 && response.status === 206;
+      if (offset > 0) {
+        log(resumed ? `   Resuming download at ${(offset / 1024).toFixed(2)} KB` : `   Range not supported, restarting download`);
+      }
+
+      const expected = await expectedSize(response, resumed ? offset : 0, partFile);
+      if (expected !== null && expected > maxBytes) {
+        throw fatalDownloadError(`File too large: ${expected} bytes (limit ${maxBytes})`);
+      }
+
+      // The checksum covers the bytes already on disk, then the new ones as they stream
+      const hash = createHash('sha256');
+      if (resumed) {
+        await pipeline(createReadStream(partFile), new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback();
+          },
+        }));
+      }
+
+      let bytes = resumed ? offset : 0;
+      const meter = new Transform({
+        transform(chunk, encoding, callback) {
+          bytes += chunk.length;
+          if (bytes > maxBytes) {
+            return callback(fatalDownloadError(`File too large: over ${maxBytes} bytes`));
+          }
+          hash.update(chunk);
+          armStallTimer();
+          callback(null, chunk);
+        },
       });
-    }, url);
+      await pipeline(response.body, meter, createWriteStream(partFile, { flags: resumed ? 'a' : 'w' }));
 
-    const buffer = Buffer.from(base64Data, 'base64');
-    await fs.writeFile(destination, buffer);
+      if (expected !== null && bytes !== expected) {
+        if (bytes > expected) await fs.unlink(partFile).catch(() => {});
+        throw Object.assign(new Error(`Incomplete download: ${bytes} of ${expected} bytes`), { retryable: true });
+      }
 
-    const stats = await fs.stat(destination);
-    log(`   Downloaded ${(stats.size / 1024).toFixed(2)} KB`);
-    return true;
+      await fs.rename(partFile, destination);
+      return { bytes, sha256: hash.digest('hex') };
+    } catch (caught) {
+      const error = caught.name === 'AbortError'
+        ? Object.assign(new Error(`Download stalled for ${stallTimeout}ms`), { retryable: true })
+        : caught;
+      // Nothing resumes a download that gives up for good
+      if (!isRetryableError(error) || attempt > getRetryPolicy('download').maxRetries) {
+        await fs.unlink(partFile).catch(() => {});
+      }
+      throw error;
+    } finally {
+      clearTimeout(stallTimer);
+    }
+  });
+}
+
+/**
+ * Download a file inside the page (has cookies/session), base64-encoded across CDP
+ * Only for recordings and replays (see downloadsThroughPage)
+ */
+async function downloadThroughPage(url, destination, page) {
+  const base64Data = await page.evaluate(async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result.split(',')[1]);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  }, url);
+
+  const buffer = Buffer.from(base64Data, 'base64');
+  if (buffer.length > config.download.maxBytes) {
+    throw fatalDownloadError(`File too large: ${buffer.length} bytes (limit ${config.download.maxBytes})`);
+  }
+  await fs.writeFile(destination, buffer);
+  return { bytes: buffer.length, sha256: createHash('sha256').update(buffer).digest('hex') };
+}
+
+/**
+ * Download a file from URL with the page's session
+ * Transient failures are retried with the download retry policy
+ * Returns { bytes, sha256 } of the downloaded file; the last error (with its status or code) is rethrown
+ */
+export async function downloadFile(url, destination, page) {
+  try {
+    const result = downloadsThroughPage()
+      ? await withRetry('download', () => downloadThroughPage(url, destination, page))
+      : await streamDownload(url, destination, page);
+
+    log(`   Downloaded ${(result.bytes / 1024).toFixed(2)} KB (sha256 ${result.sha256.slice(0, 12)})`);
+    return result;
   } catch (error) {
     log(`   ❌ Download failed: ${error.message}`);
-    return false;
+    throw error;
   }
 }
 
@@ -114,18 +308,19 @@ export async function processStory(videoUrl, audioUrl, page) {
     // Download video
     log(`   ⬇️  Downloading video...`);
     const videoDownloaded = await downloadFile(videoUrl, videoPath, page);
-    if (!videoDownloaded) {
-      throw new Error('Failed to download video');
-    }
+
+    // Checksum of the stored file: the download's own unless ffmpeg rewrote it
+    let sha256 = videoDownloaded.sha256;
 
     // Download audio if provided
     if (audioUrl) {
       log(`   ⬇️  Downloading audio...`);
-      const audioDownloaded = await downloadFile(audioUrl, audioPath, page);
+      const audioDownloaded = await downloadFile(audioUrl, audioPath, page).catch(() => null);
       if (audioDownloaded) {
         // Combine video and audio
         log(`   🔧 Combining video and audio...`);
-        await combineVideoAudio(videoPath, audioPath, outputPath);
+        await withRetry('ffmpeg', () => combineVideoAudio(videoPath, audioPath, outputPath));
+        sha256 = await hashFile(outputPath);
       } else {
         // Just use video without audio
         log(`   ⚠️  Audio download failed, using video only`);
@@ -136,6 +331,7 @@ export async function processStory(videoUrl, audioUrl, page) {
       log(`   ℹ️  No audio track, using video only`);
       await fs.copyFile(videoPath, outputPath);
     }
+    const { size } = await fs.stat(outputPath);
 
     // Clean up temp files
     try {
@@ -154,6 +350,8 @@ export async function processStory(videoUrl, audioUrl, page) {
       videoId,
       localPath: outputPath,
       url: `/videos/${videoId}.mp4`,
+      sha256,
+      size,
     };
 
   } catch (error) {
@@ -169,6 +367,7 @@ export async function processStory(videoUrl, audioUrl, page) {
     return {
       success: false,
       error: error.message,
+      cause: error,
     };
   }
 }
@@ -267,3 +466,28 @@ export async function getAllVideoIds() {
     return [];
   }
 }
+
+/**
+ * Delete temp downloads left behind by interrupted runs, older than `maxAgeMs`
+ * Returns the deleted (or, with `dryRun`, deletable) files
+ */
+export async function cleanTempMedia(maxAgeMs, { dryRun = false } = {}) {
+  const removed = [];
+  let files;
+  try {
+    files = await fs.readdir(TEMP_DIR);
+  } catch {
+    return removed;
+  }
+
+  for (const file of files) {
+    const filePath = path.join(TEMP_DIR, file);
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile() || Date.now() - stats.mtimeMs < maxAgeMs) continue;
+    if (!dryRun) {
+      await fs.unlink(filePath).catch(() => {});
+    }
+    removed.push({ path: filePath, size_bytes: stats.size });
+  }
+  return removed;
+}
@@ -0,0 +1,57 @@
+/**
+ * File locks: serialized holders, timeouts and locks left by dead processes
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { withFileLock, FileLockError } from '../utils/atomicFile.js';
+
+const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'ig-lock-'));
+
+after(() => fs.rm(sandbox, { recursive: true, force: true }));
+
+test('serializes lock holders and breaks locks of dead processes', async () => {
+  const file = path.join(sandbox, 'locked.json');
+  const order = [];
+  await Promise.all([1, 2, 3].map(n => withFileLock(file, async () => {
+    order.push(`start ${n}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    order.push(`end ${n}`);
+  })));
+  for (let i = 0; i < order.length; i += 2) {
+    assert.equal(order[i].replace('start', 'end'), order[i + 1]);
+  }
+
+  // Held by a live process: times out
+  await fs.writeFile(`${file}.lock`, JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+  await assert.rejects(withFileLock(file, async () => {}, { timeout: 200 }), FileLockError);
+
+  // Left by a process that exited: taken over
+  const dead = spawnSync(process.execPath, ['-e', 'console.log(process.pid)'], { encoding: 'utf-8' });
+  await fs.writeFile(`${file}.lock`, JSON.stringify({ pid: Number(dead.stdout.trim()), hostname: os.hostname() }));
+  assert.equal(await withFileLock(file, async () => 'taken', { timeout: 200 }), 'taken');
+  await assert.rejects(fs.access(`${file}.lock`), { code: 'ENOENT' });
+});
+
+test('lets a single waiter break a stale lock', async () => {
+  const file = path.join(sandbox, 'stale.json');
+  const dead = spawnSync(process.execPath, ['-e', 'console.log(process.pid)'], { encoding: 'utf-8' });
+  await fs.writeFile(`${file}.lock`, JSON.stringify({ pid: Number(dead.stdout.trim()), hostname: os.hostname() }));
+
+  // Every waiter finds the same stale lock: none may remove the lock another one took over meanwhile
+  let holders = 0;
+  let overlaps = 0;
+  await Promise.all([1, 2, 3, 4, 5].map(() => withFileLock(file, async () => {
+    if (++holders > 1) overlaps++;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    holders--;
+  }, { timeout: 5000 })));
+
+  assert.equal(overlaps, 0);
+  await assert.rejects(fs.access(`${file}.lock`), { code: 'ENOENT' });
+  assert.deepEqual((await fs.readdir(sandbox)).filter(f => f.startsWith('stale.json')), []);
+});
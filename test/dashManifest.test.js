@@ -0,0 +1,115 @@
+/**
+ * DASH manifest parsing and rendition selection
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDashManifest, pickVideoRendition, pickAudioRendition, selectVideoRenditions, describeRenditions } from '../services/dashManifest.js';
+
+const MANIFEST = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">
+  <Period>
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <Representation id="v480" bandwidth="600000" width="480" height="854" codecs="avc1.4d401e" FBQualityLabel="480p">
+        <BaseURL>https://cdn.example/v480.mp4?a=1&amp;b=2</BaseURL>
+      </Representation>
+      <Representation id="v720" bandwidth="1500000" width="720" height="1280" codecs="avc1.4d401f" FBQualityLabel="720p">
+        <BaseURL>https://cdn.example/v720.mp4</BaseURL>
+      </Representation>
+      <Representation id="v1080" bandwidth="3000000" width="1080" height="1920" codecs="avc1.640028" FBQualityLabel="1080p">
+        <BaseURL>https://cdn.example/v1080.mp4</BaseURL>
+      </Representation>
+      <Representation id="no-url" bandwidth="9000000" width="2160" height="3840" codecs="avc1.640033"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4">
+      <Representation id="a-opus" bandwidth="96000" codecs="opus">
+        <BaseURL>https://cdn.example/a-opus.mp4</BaseURL>
+      </Representation>
+      <Representation id="a-low" bandwidth="48000" codecs="mp4a.40.5">
+        <BaseURL>https://cdn.example/a-low.mp4</BaseURL>
+      </Representation>
+      <Representation id="a-high" bandwidth="128000" codecs="mp4a.40.2">
+        <BaseURL>https://cdn.example/a-high.mp4</BaseURL>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+test('parses the representations that have a URL', () => {
+  const representations = parseDashManifest(MANIFEST);
+  assert.deepEqual(representations.map(r => r.id), ['v480', 'v720', 'v1080', 'a-opus', 'a-low', 'a-high']);
+
+  const [v480] = representations;
+  assert.equal(v480.kind, 'video');
+  assert.equal(v480.url, 'https://cdn.example/v480.mp4?a=1&b=2');
+  assert.equal(v480.bandwidth, 600000);
+  assert.equal(v480.width, 480);
+  assert.equal(v480.quality_label, '480p');
+});
+
+test('returns no representations for missing or invalid manifests', () => {
+  assert.deepEqual(parseDashManifest(undefined), []);
+  assert.deepEqual(parseDashManifest('not xml'), []);
+});
+
+test('picks the best video within the quality cap', () => {
+  const representations = parseDashManifest(MANIFEST);
+  assert.equal(pickVideoRendition(representations).id, 'v1080');
+  assert.equal(pickVideoRendition(representations, 720).id, 'v720');
+  // Every rendition above the cap: the lowest one
+  assert.equal(pickVideoRendition(representations, 360).id, 'v480');
+});
+
+test('breaks resolution ties on bandwidth', () => {
+  const renditions = [
+    { id: 'a', kind: 'video', url: 'a', width: 720, height: 1280, bandwidth: 900 },
+    { id: 'b', kind: 'video', url: 'b', width: 720, height: 1280, bandwidth: 1200 },
+  ];
+  assert.equal(pickVideoRendition(renditions).id, 'b');
+});
+
+test('picks audio of the codec family of the video, then the highest bandwidth', () => {
+  const representations = parseDashManifest(MANIFEST);
+  assert.equal(pickAudioRendition(representations, { codecs: 'avc1.640028' }).id, 'a-high');
+  assert.equal(pickAudioRendition(representations, { codecs: 'vp09.00.40.08' }).id, 'a-opus');
+  // No audio of the family: any audio, best first
+  const onlyOpus = representations.filter(r => r.id === 'a-opus');
+  assert.equal(pickAudioRendition(onlyOpus, { codecs: 'avc1' }).id, 'a-opus');
+  assert.equal(pickAudioRendition([]), null);
+});
+
+test('prefers the DASH manifest over progressive versions', () => {
+  const selection = selectVideoRenditions({
+    video_dash_manifest: MANIFEST,
+    video_versions: [{ url: 'https://cdn.example/progressive.mp4', width: 1080, height: 1920 }],
+  }, 720);
+
+  assert.equal(selection.source, 'dash');
+  assert.equal(selection.video.id, 'v720');
+  assert.equal(selection.audio.id, 'a-high');
+  assert.deepEqual(describeRenditions(selection), {
+    source: 'dash',
+    width: 720,
+    height: 1280,
+    quality_label: '720p',
+    video_bitrate: 1500000,
+    video_codecs: 'avc1.4d401f',
+    audio_bitrate: 128000,
+    audio_codecs: 'mp4a.40.2',
+  });
+});
+
+test('falls back to progressive versions without a manifest', () => {
+  const selection = selectVideoRenditions({
+    video_versions: [
+      { url: 'https://cdn.example/small.mp4', width: 480, height: 854 },
+      { url: 'https://cdn.example/large.mp4', width: 1080, height: 1920 },
+    ],
+  });
+
+  assert.equal(selection.source, 'progressive');
+  assert.equal(selection.video.url, 'https://cdn.example/large.mp4');
+  assert.equal(selection.audio, null);
+  assert.equal(selectVideoRenditions({}), null);
+  assert.equal(describeRenditions(null), null);
+});
@@ -0,0 +1,147 @@
+/**
+ * Media index: content hashes, exact and perceptual matching, shared files and retention
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'ig-media-index-'));
+process.chdir(sandbox);
+process.env.MEDIA_PHASH_THRESHOLD = '6';
+process.env.MEDIA_INDEX_RETENTION_DAYS = '30';
+
+const { MediaIndex, differenceHash, hammingDistance, perceptualHash } = await import('../services/mediaIndex.js');
+const { getVideoPath, hashFile } = await import('../services/videoProcessor.js');
+const { getImagePath } = await import('../services/imageProcessor.js');
+
+after(() => fs.rm(sandbox, { recursive: true, force: true }));
+
+let indexCount = 0;
+function newIndex() {
+  return new MediaIndex(path.join(sandbox, 'media_index', `hashes-${++indexCount}.json`));
+}
+
+async function writeMedia(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, content);
+}
+
+async function videoStory(id, content, pk = id) {
+  await writeMedia(getVideoPath(id), content);
+  return { ig_pk: pk, local_video_id: id, media_url: `/videos/${id}` };
+}
+
+async function exists(file) {
+  return fs.access(file).then(() => true, () => false);
+}
+
+test('computes difference hashes and their distance', () => {
+  // Brightness rising left to right on every row: every bit set
+  const rising = Array.from({ length: 72 }, (_, i) => i % 9);
+  assert.equal(differenceHash(rising), 'ffffffffffffffff');
+  assert.equal(differenceHash(new Array(72).fill(0)), '0000000000000000');
+
+  assert.equal(hammingDistance('ffffffffffffffff', 'ffffffffffffffff'), 0);
+  assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+  assert.equal(hammingDistance('00000000000000f0', '0000000000000000'), 4);
+});
+
+test('has no perceptual hash for a file that does not decode', async () => {
+  const file = path.join(sandbox, 'not-an-image.jpg');
+  await fs.writeFile(file, 'plain text');
+  assert.equal(await perceptualHash(file), null);
+});
+
+test('hashes files with SHA-256', async () => {
+  const file = path.join(sandbox, 'hello.bin');
+  await fs.writeFile(file, 'hello');
+  assert.equal(await hashFile(file), crypto.createHash('sha256').update('hello').digest('hex'));
+});
+
+test('shares one file between identical videos', async () => {
+  const index = newIndex();
+  const original = await videoStory('video-original', 'same bytes');
+  assert.equal(await index.dedupeStories([original], 'alice'), 0);
+
+  const repost = await videoStory('video-repost', 'same bytes');
+  assert.equal(await index.dedupeStories([repost], 'bob'), 1);
+
+  assert.equal(repost.duplicate_of.match, 'sha256');
+  assert.equal(repost.duplicate_of.username, 'alice');
+  assert.equal(repost.local_video_id, 'video-original');
+  assert.equal(repost.media_url, '/videos/video-original');
+  assert.equal(await exists(getVideoPath('video-repost')), false);
+  assert.equal(await exists(getVideoPath('video-original')), true);
+
+  assert.deepEqual(await index.sharedBy('video-original'), [{ ig_pk: 'video-repost', username: 'bob', kind: 'stories' }]);
+  assert.deepEqual(await index.sharedBy('unknown'), []);
+  const references = await index.references();
+  assert.ok(references.has('video-original'));
+});
+
+test('never matches different videos, whatever their hashes look like', async () => {
+  const index = newIndex();
+  await index.dedupeStories([await videoStory('video-a', 'first clip')], 'alice');
+  const other = await videoStory('video-b', 'second clip');
+  assert.equal(await index.dedupeStories([other], 'alice'), 0);
+  assert.equal(other.duplicate_of, undefined);
+  assert.equal(other.media_hash.phash, null);
+  assert.equal(await exists(getVideoPath('video-b')), true);
+});
+
+test('does not flag the same story extracted again', async () => {
+  const index = newIndex();
+  await index.dedupeStories([await videoStory('video-again-1', 'again', 'pk-again')], 'alice');
+  const again = await videoStory('video-again-2', 'again', 'pk-again');
+  assert.equal(await index.dedupeStories([again], 'alice'), 0);
+  assert.equal(await exists(getVideoPath('video-again-2')), true);
+});
+
+test('forgets originals whose file was deleted', async () => {
+  const index = newIndex();
+  await index.dedupeStories([await videoStory('video-gone', 'gone')], 'alice');
+  await fs.unlink(getVideoPath('video-gone'));
+
+  const next = await videoStory('video-next', 'gone');
+  assert.equal(await index.dedupeStories([next], 'bob'), 0);
+  assert.equal(next.local_video_id, 'video-next');
+  const ids = [...(await index.references()).keys()];
+  assert.deepEqual(ids, ['video-next']);
+});
+
+test('matches images by perceptual hash within the threshold, videos never', async () => {
+  const index = newIndex();
+  await writeMedia(getImagePath('image-original'), 'jpeg');
+  await writeMedia(getVideoPath('video-original-2'), 'mp4');
+  const entries = [
+    { sha256: 'a', phash: 'ffffffffffffffff', media_type: 'image', local_media_id: 'image-original', ig_pk: '1' },
+    { sha256: 'b', phash: 'ffffffffffffffff', media_type: 'video', local_media_id: 'video-original-2', ig_pk: '2' },
+  ];
+
+  const far = await index.findOriginal(entries, { ig_pk: '3' }, { type: 'image' }, { sha256: 'c', phash: 'ffffffffffffff00' });
+  assert.equal(far, null, '8 bits apart is over the threshold');
+
+  const near = await index.findOriginal(entries, { ig_pk: '3' }, { type: 'image' }, { sha256: 'c', phash: 'fffffffffffffff0' });
+  assert.equal(near.entry.local_media_id, 'image-original');
+  assert.equal(near.match, 'phash');
+  assert.equal(near.distance, 4);
+
+  const video = await index.findOriginal(entries, { ig_pk: '3' }, { type: 'video' }, { sha256: 'c', phash: 'ffffffffffffffff' });
+  assert.equal(video, null);
+});
+
+test('keeps entries seen within the retention window', async () => {
+  const index = newIndex();
+  const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+  const recent = new Date().toISOString();
+  await index.save([
+    { local_media_id: 'stale', first_seen_at: old, last_seen_at: old },
+    { local_media_id: 'reposted', first_seen_at: old, last_seen_at: recent },
+    { local_media_id: 'new', first_seen_at: recent },
+  ]);
+  assert.deepEqual((await index.load()).map(e => e.local_media_id), ['reposted', 'new']);
+});
@@ -0,0 +1,162 @@
+/**
+ * Outbox: payloads persisted before delivery, retried with backoff, set aside when the API rejects them
+ * The Laravel API is a local HTTP server answering with the status each test sets
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'ig-outbox-'));
+process.chdir(sandbox);
+
+let status = 200;
+const received = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ url: req.url, apiKey: req.headers['x-api-key'], body: JSON.parse(body) });
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(status === 200 ? { saved: 1, updated: 0 } : { message: `status ${status}` }));
+  });
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.LARAVEL_API_URL = `http://127.0.0.1:${server.address().port}/api/instagram`;
+process.env.LARAVEL_API_KEY = 'test-key';
+process.env.ARCHIVE_ENABLED = 'false';
+// The outbox retries later: no retries inside a delivery
+process.env.MAX_RETRIES = '0';
+process.env.OUTBOX_RETRY_DELAY = '60000';
+process.env.OUTBOX_MAX_ATTEMPTS = '0';
+
+const { Outbox, OutboxStatus, InvalidOutboxIdError } = await import('../services/outbox.js');
+const { withFileLock } = await import('../utils/atomicFile.js');
+
+const outbox = new Outbox(path.join(sandbox, 'outbox'));
+
+after(async () => {
+  server.close();
+  await fs.rm(sandbox, { recursive: true, force: true });
+});
+
+async function reset(nextStatus) {
+  status = nextStatus;
+  received.length = 0;
+  for (const entry of await outbox.list()) await outbox.remove(entry.id);
+}
+
+test('delivers queued payloads and removes them', async () => {
+  await reset(200);
+  const entry = await outbox.enqueue('stories', { stories: [{ ig_pk: '1' }] }, { runId: 'run-1', stories: [{ username: 'a', kind: 'stories', key: '1' }] });
+
+  const stored = await outbox.get(entry.id);
+  assert.equal(stored.status, OutboxStatus.PENDING);
+  assert.equal(stored.attempts, 0);
+
+  const result = await outbox.flush();
+  assert.equal(result.delivered.length, 1);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].url, '/api/instagram/stories');
+  assert.equal(received[0].apiKey, 'test-key');
+  assert.deepEqual(received[0].body, { stories: [{ ig_pk: '1' }] });
+  assert.equal(await outbox.get(entry.id), null);
+});
+
+test('delivers in creation order', async () => {
+  await reset(200);
+  for (const pk of ['1', '2', '3']) {
+    await outbox.enqueue('stories', { stories: [{ ig_pk: pk }] });
+  }
+  await outbox.flush();
+  assert.deepEqual(received.map(r => r.body.stories[0].ig_pk), ['1', '2', '3']);
+});
+
+test('keeps failed payloads and retries them once due', async () => {
+  await reset(503);
+  const entry = await outbox.enqueue('stories', { stories: [] });
+
+  const result = await outbox.flush();
+  assert.equal(result.failed.length, 1);
+  const failed = await outbox.get(entry.id);
+  assert.equal(failed.status, OutboxStatus.PENDING);
+  assert.equal(failed.attempts, 1);
+  assert.equal(failed.last_status, 503);
+  assert.ok(new Date(failed.next_attempt_at).getTime() > Date.now() + 50000);
+
+  // Not due yet
+  status = 200;
+  assert.equal((await outbox.flush()).delivered.length, 0);
+  assert.equal(received.length, 1);
+
+  await outbox.flush({ force: true });
+  assert.equal(await outbox.get(entry.id), null);
+});
+
+test('backs off exponentially between attempts', async () => {
+  await reset(500);
+  const entry = await outbox.enqueue('stories', { stories: [] });
+  await outbox.flush();
+  const first = await outbox.get(entry.id);
+  await outbox.flush({ force: true });
+  const second = await outbox.get(entry.id);
+
+  const delay = (e) => new Date(e.next_attempt_at).getTime() - new Date(e.last_attempt_at).getTime();
+  assert.equal(second.attempts, 2);
+  assert.ok(Math.abs(delay(first) - 60000) < 1000);
+  assert.ok(Math.abs(delay(second) - 120000) < 1000);
+});
+
+test('sets rejected payloads aside until replayed by hand', async () => {
+  await reset(422);
+  const entry = await outbox.enqueue('stories', { stories: [] });
+
+  assert.equal((await outbox.flush()).dead.length, 1);
+  const dead = await outbox.get(entry.id);
+  assert.equal(dead.status, OutboxStatus.DEAD);
+  assert.equal(dead.next_attempt_at, null);
+
+  status = 200;
+  assert.equal((await outbox.flush()).delivered.length, 0);
+  assert.equal((await outbox.flush({ ids: [entry.id], force: true })).delivered.length, 1);
+});
+
+test('skips the flush while another process is delivering', async () => {
+  await reset(200);
+  const entry = await outbox.enqueue('stories', { stories: [] });
+
+  const result = await withFileLock(outbox.flushLock, () => outbox.flush());
+  assert.equal(result.busy, true);
+  assert.equal(received.length, 0);
+  assert.ok(await outbox.get(entry.id));
+});
+
+test('reports unreadable entries as corrupt', async () => {
+  await reset(200);
+  const id = '2024-01-01T00-00-00-000Z-0badc0de';
+  await fs.writeFile(path.join(outbox.dir, `${id}.json`), '{');
+  const entries = await outbox.list();
+  assert.deepEqual(entries.map(e => [e.id, e.status]), [[id, 'corrupt']]);
+  // Never delivered
+  await outbox.flush({ force: true });
+  assert.equal(received.length, 0);
+  await outbox.remove(id);
+});
+
+test('rejects ids it could not have generated', async () => {
+  await reset(200);
+  await fs.writeFile(path.join(sandbox, 'accounts.json'), '[{"username":"a","password":"secret"}]');
+  await fs.writeFile(path.join(outbox.dir, 'notes.json'), '{}');
+
+  for (const id of ['../accounts', '..%2Faccounts', 'notes', '', undefined]) {
+    await assert.rejects(outbox.get(id), InvalidOutboxIdError, String(id));
+    await assert.rejects(outbox.remove(id), InvalidOutboxIdError, String(id));
+  }
+  assert.ok(await fs.readFile(path.join(sandbox, 'accounts.json'), 'utf-8'));
+  // Files not named like entries are not listed
+  assert.deepEqual(await outbox.list(), []);
+});
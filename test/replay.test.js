@@ -0,0 +1,91 @@
+/**
+ * Offline replay suite
+ * Runs the full index.js flow against every recording in fixtures/replay and checks the saved stories
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES_DIR = path.join(ROOT, 'fixtures', 'replay');
+
+const hasChromium = existsSync(chromium.executablePath());
+const fixtures = await fs.readdir(FIXTURES_DIR);
+
+/**
+ * Run index.js in a scratch directory so trackers, media and outputs stay isolated
+ */
+async function runReplay(fixtureDir, targets) {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'ig-replay-'));
+  const result = spawnSync(process.execPath, [path.join(ROOT, 'index.js')], {
+    cwd,
+    encoding: 'utf-8',
+    timeout: 180000,
+    env: {
+      ...process.env,
+      IG_REPLAY_MODE: 'replay',
+      IG_REPLAY_DIR: fixtureDir,
+      IG_USERNAME: 'replay_login',
+      IG_PASSWORD: 'replay_password',
+      IG_TARGET_USERNAMES: targets.join(','),
+      IG_TARGET_USERNAME: '',
+      LARAVEL_API_URL: 'https://your-domain.com/api/instagram',
+      LARAVEL_API_KEY: 'replay',
+    },
+  });
+  return { cwd, result };
+}
+
+/**
+ * Read the stories saved for a target (null when no output file was written)
+ */
+async function readOutput(cwd, username) {
+  const files = (await fs.readdir(cwd)).filter(f => f.startsWith(`stories_${username}_`) && f.endsWith('.json'));
+  if (files.length === 0) return null;
+  const data = JSON.parse(await fs.readFile(path.join(cwd, files[0]), 'utf-8'));
+  return data.stories;
+}
+
+for (const name of fixtures) {
+  test(`replay: ${name}`, { skip: !hasChromium && 'Chromium not installed (npx playwright install chromium)' }, async () => {
+    const fixtureDir = path.join(FIXTURES_DIR, name);
+    const manifest = JSON.parse(await fs.readFile(path.join(fixtureDir, 'manifest.json'), 'utf-8'));
+    const expected = JSON.parse(await fs.readFile(path.join(fixtureDir, 'expected.json'), 'utf-8'));
+
+    const { cwd, result } = await runReplay(fixtureDir, manifest.targets);
+
+    try {
+      assert.equal(result.status, expected.exit_code, result.stdout + result.stderr);
+
+      for (const [username, target] of Object.entries(expected.targets)) {
+        const stories = await readOutput(cwd, username);
+
+        if (target.stories === null) {
+          assert.equal(stories, null, `@${username} should not produce stories`);
+          continue;
+        }
+
+        assert.ok(stories, `@${username} should produce an output file`);
+        assert.equal(stories.length, target.stories.length);
+
+        target.stories.forEach((expectedStory, i) => {
+          for (const [field, value] of Object.entries(expectedStory)) {
+            assert.deepEqual(stories[i][field], value, `@${username} story ${i + 1}: ${field}`);
+          }
+          // Media must have been downloaded and served locally
+          const localId = stories[i].local_video_id || stories[i].local_image_id;
+          assert.ok(localId, `@${username} story ${i + 1} should have a local media file`);
+        });
+      }
+    } finally {
+      await fs.rm(cwd, { recursive: true, force: true });
+    }
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * Retry policies: error classification, backoff and withRetry
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, getBackoffDelay, getRetryPolicy, isRetryableError, isRetryableStatus, HttpError } from '../utils/retry.js';
+
+// No waiting between attempts
+const FAST = { retryDelay: 1, maxDelay: 1 };
+
+test('classifies HTTP statuses', () => {
+  for (const status of [408, 425, 429, 500, 503]) {
+    assert.equal(isRetryableStatus(status), true, `${status}`);
+  }
+  for (const status of [400, 401, 403, 404, 416]) {
+    assert.equal(isRetryableStatus(status), false, `${status}`);
+  }
+});
+
+test('classifies errors: explicit flag first, then status, then codes and messages', () => {
+  assert.equal(isRetryableError(null), false);
+  assert.equal(isRetryableError(new HttpError(503)), true);
+  assert.equal(isRetryableError(new HttpError(404)), false);
+  assert.equal(isRetryableError(new Error('HTTP 502: bad gateway')), true);
+  assert.equal(isRetryableError(Object.assign(new Error('read'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryableError(new Error('page.goto: net::ERR_CONNECTION_CLOSED')), true);
+  assert.equal(isRetryableError(new Error('Selector not found')), false);
+
+  // The flag wins over anything the error looks like
+  assert.equal(isRetryableError(Object.assign(new HttpError(503), { retryable: false })), false);
+  assert.equal(isRetryableError(Object.assign(new Error('Incomplete download'), { retryable: true })), true);
+});
+
+test('merges the per-operation policy and the call overrides over the defaults', () => {
+  const policy = getRetryPolicy('ffmpeg', { retryDelay: 5 });
+  assert.equal(policy.maxRetries, 1);
+  assert.equal(policy.retryDelay, 5);
+  assert.equal(policy.factor, 2);
+  assert.equal(typeof policy.shouldRetry, 'function');
+});
+
+test('backs off exponentially with jitter, capped at maxDelay', () => {
+  const policy = { retryDelay: 100, factor: 2, maxDelay: 1000 };
+  for (let i = 0; i < 50; i++) {
+    const first = getBackoffDelay(1, policy);
+    const third = getBackoffDelay(3, policy);
+    const tenth = getBackoffDelay(10, policy);
+    assert.ok(first >= 50 && first <= 100, `attempt 1: ${first}`);
+    assert.ok(third >= 200 && third <= 400, `attempt 3: ${third}`);
+    assert.ok(tenth >= 500 && tenth <= 1000, `attempt 10: ${tenth}`);
+  }
+});
+
+test('retries transient failures until one succeeds', async () => {
+  const attempts = [];
+  const result = await withRetry('test', async (attempt) => {
+    attempts.push(attempt);
+    if (attempt < 3) throw new HttpError(503);
+    return 'ok';
+  }, { ...FAST, maxRetries: 3 });
+
+  assert.equal(result, 'ok');
+  assert.deepEqual(attempts, [1, 2, 3]);
+});
+
+test('rethrows the last error once the retries run out', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry('test', async (attempt) => {
+      calls++;
+      throw new HttpError(500, `HTTP 500 (attempt ${attempt})`);
+    }, { ...FAST, maxRetries: 2 }),
+    (error) => error instanceof HttpError && error.status === 500 && error.message === 'HTTP 500 (attempt 3)'
+  );
+  assert.equal(calls, 3);
+});
+
+test('does not retry permanent failures', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry('test', async () => {
+      calls++;
+      throw new HttpError(404);
+    }, { ...FAST, maxRetries: 5 }),
+    { status: 404 }
+  );
+  assert.equal(calls, 1);
+});
+
+test('honours a custom shouldRetry', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry('test', async () => {
+      calls++;
+      throw new Error('spawn error');
+    }, { ...FAST, maxRetries: 3, shouldRetry: () => true })
+  );
+  assert.equal(calls, 4);
+});
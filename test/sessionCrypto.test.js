@@ -0,0 +1,52 @@
+/**
+ * Session encryption: envelopes, raw keys and passphrases, wrong keys and tampering
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { encryptJson, decryptJson, isEncryptedEnvelope, SessionKeyError } from '../utils/sessionCrypto.js';
+
+const SESSION = { cookies: [{ name: 'sessionid', value: 'secret-value', domain: '.instagram.com' }], savedAt: '2024-01-01T00:00:00.000Z' };
+const HEX_KEY = `hex:${crypto.randomBytes(32).toString('hex')}`;
+const BASE64_KEY = `base64:${crypto.randomBytes(32).toString('base64')}`;
+
+test('round-trips with raw keys and passphrases', () => {
+  for (const [secret, kdf] of [[HEX_KEY, null], [BASE64_KEY, null], ['correct horse battery staple', 'scrypt']]) {
+    const envelope = encryptJson(SESSION, secret);
+    assert.ok(isEncryptedEnvelope(envelope));
+    assert.equal(envelope.kdf, kdf);
+    assert.ok(!JSON.stringify(envelope).includes('secret-value'));
+    assert.deepEqual(decryptJson(envelope, secret), SESSION);
+  }
+});
+
+test('treats a secret without a prefix as a passphrase, even when it looks like a key', () => {
+  const keyLooking = crypto.randomBytes(32).toString('hex');
+  assert.equal(encryptJson(SESSION, keyLooking).kdf, 'scrypt');
+  assert.equal(encryptJson(SESSION, crypto.randomBytes(32).toString('base64')).kdf, 'scrypt');
+
+  // A file encrypted with the prefixed key can't be opened with the bare one
+  assert.throws(() => decryptJson(encryptJson(SESSION, `hex:${keyLooking}`), keyLooking), SessionKeyError);
+});
+
+test('rejects raw keys that are not 32 bytes', () => {
+  assert.throws(() => encryptJson(SESSION, 'hex:abcd'), SessionKeyError);
+  assert.throws(() => encryptJson(SESSION, `base64:${crypto.randomBytes(16).toString('base64')}`), SessionKeyError);
+});
+
+test('fails with SessionKeyError on a wrong key or a modified file', () => {
+  const envelope = encryptJson(SESSION, 'passphrase one');
+  assert.throws(() => decryptJson(envelope, 'passphrase two'), SessionKeyError);
+
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 0xff;
+  assert.throws(() => decryptJson({ ...envelope, data: data.toString('base64') }, 'passphrase one'), SessionKeyError);
+  assert.throws(() => decryptJson({ ...envelope, version: 99 }, 'passphrase one'), /Unsupported encryption version/);
+});
+
+test('recognizes envelopes only', () => {
+  assert.equal(isEncryptedEnvelope(SESSION), false);
+  assert.equal(isEncryptedEnvelope(null), false);
+  assert.equal(isEncryptedEnvelope({ encrypted: 'aes-256-gcm' }), false);
+});
@@ -0,0 +1,76 @@
+/**
+ * Session files: atomic private writes, in-place encryption of plaintext sessions, unreadable files
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'ig-session-'));
+process.chdir(sandbox);
+process.env.SESSION_ENCRYPTION_KEY = '';
+process.env.SESSION_KEY_FILE = '';
+
+const { SessionManager } = await import('../services/sessionManager.js');
+const { isEncryptedEnvelope, SessionKeyError } = await import('../utils/sessionCrypto.js');
+const { config } = await import('../config/env.js');
+
+const SESSION = { cookies: [{ name: 'sessionid', value: 'abc', domain: '.instagram.com' }], localStorage: {}, savedAt: '2024-01-01T00:00:00.000Z' };
+
+after(() => fs.rm(sandbox, { recursive: true, force: true }));
+
+beforeEach(() => {
+  config.sessionEncryptionKey = null;
+});
+
+async function modeOf(file) {
+  return (await fs.stat(file)).mode & 0o777;
+}
+
+test('writes sessions readable by the current user only', async () => {
+  const manager = new SessionManager('writer');
+  await manager.writeSession(SESSION);
+
+  assert.equal(await modeOf(manager.sessionFile), 0o600);
+  assert.deepEqual(await manager.readSession(), SESSION);
+  const leftovers = (await fs.readdir(path.dirname(manager.sessionFile))).filter(f => f.endsWith('.tmp'));
+  assert.deepEqual(leftovers, []);
+});
+
+test('encrypts a plaintext session in place and tightens its permissions', async () => {
+  const manager = new SessionManager('plaintext');
+  await fs.mkdir(path.dirname(manager.sessionFile), { recursive: true });
+  await fs.writeFile(manager.sessionFile, JSON.stringify(SESSION), { mode: 0o644 });
+
+  config.sessionEncryptionKey = 'a passphrase';
+  assert.deepEqual(await manager.readSession(), SESSION);
+
+  assert.ok(isEncryptedEnvelope(JSON.parse(await fs.readFile(manager.sessionFile, 'utf-8'))));
+  assert.equal(await modeOf(manager.sessionFile), 0o600);
+  assert.deepEqual(await manager.readSession(), SESSION);
+});
+
+test('treats an unparseable session file as no session', async () => {
+  const manager = new SessionManager('truncated');
+  await fs.mkdir(path.dirname(manager.sessionFile), { recursive: true });
+  await fs.writeFile(manager.sessionFile, '{"cookies": [');
+
+  assert.equal(await manager.readSession(), null);
+
+  // The next login replaces it
+  await manager.writeSession(SESSION);
+  assert.deepEqual(await manager.readSession(), SESSION);
+});
+
+test('stays fatal when an encrypted session has no key or the wrong one', async () => {
+  const manager = new SessionManager('encrypted');
+  config.sessionEncryptionKey = 'right key';
+  await manager.writeSession(SESSION);
+
+  config.sessionEncryptionKey = null;
+  await assert.rejects(manager.readSession(), SessionKeyError);
+  config.sessionEncryptionKey = 'wrong key';
+  await assert.rejects(manager.readSession(), SessionKeyError);
+});
@@ -0,0 +1,81 @@
+/**
+ * Recordings: credentials, session tokens and personal data removed from the HAR and the manifest
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { SessionRecorder } from '../services/sessionRecorder.js';
+
+const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'ig-recorder-'));
+
+after(() => fs.rm(sandbox, { recursive: true, force: true }));
+
+function harEntry(url, postData) {
+  return {
+    request: {
+      method: postData ? 'POST' : 'GET',
+      url,
+      headers: [{ name: 'Cookie', value: 'sessionid=secret' }, { name: 'Accept', value: '*/*' }],
+      cookies: [{ name: 'sessionid', value: 'secret' }],
+      ...(postData && { postData }),
+    },
+    response: {
+      status: 200,
+      headers: [{ name: 'set-cookie', value: 'csrftoken=secret' }],
+      cookies: [{ name: 'csrftoken', value: 'secret' }],
+      content: { text: '{}' },
+    },
+  };
+}
+
+test('removes credentials, session tokens and account settings from the HAR', async () => {
+  const recorder = new SessionRecorder(path.join(sandbox, 'recording'));
+  await recorder.start();
+  const body = 'av=1&fb_dtsg=NAcN-token&lsd=AVq-token&variables=%7B%22id%22%3A1%7D&doc_id=42';
+  await fs.writeFile(recorder.harPath, JSON.stringify({
+    log: {
+      entries: [
+        harEntry('https://www.instagram.com/accounts/login/ajax/', { mimeType: 'application/x-www-form-urlencoded', text: 'password=secret' }),
+        harEntry('https://www.instagram.com/api/v1/accounts/current_user/?edit=true'),
+        harEntry('https://www.instagram.com/graphql/query', {
+          mimeType: 'application/x-www-form-urlencoded',
+          text: body,
+          params: [{ name: 'av', value: '1' }, { name: 'fb_dtsg', value: 'NAcN-token' }, { name: 'lsd', value: 'AVq-token' }],
+        }),
+        harEntry('https://www.instagram.com/api/v1/feed/reels_media/?reel_ids=1'),
+      ],
+    },
+  }));
+
+  await recorder.sanitizeHar();
+
+  const har = await fs.readFile(recorder.harPath, 'utf-8');
+  for (const secret of ['secret', 'NAcN-token', 'AVq-token', 'current_user']) {
+    assert.ok(!har.includes(secret), secret);
+  }
+  const entries = JSON.parse(har).log.entries;
+  assert.deepEqual(entries.map(e => new URL(e.request.url).pathname), ['/graphql/query', '/api/v1/feed/reels_media/']);
+  assert.equal(entries[0].request.postData.text, 'av=1&variables=%7B%22id%22%3A1%7D&doc_id=42');
+  assert.deepEqual(entries[0].request.postData.params, [{ name: 'av', value: '1' }]);
+  assert.deepEqual(entries[0].request.headers, [{ name: 'Accept', value: '*/*' }]);
+});
+
+test('records media requests with the same body the HAR keeps', () => {
+  const recorder = new SessionRecorder(path.join(sandbox, 'manifest'));
+  const handlers = {};
+  recorder.attach({ on: (event, handler) => { handlers[event] = handler; } });
+
+  handlers.request({
+    url: () => 'https://www.instagram.com/graphql/query',
+    method: () => 'POST',
+    postData: () => 'av=1&fb_dtsg=NAcN-token&lsd=AVq-token&variables=%7B%22id%22%3A1%7D&doc_id=42',
+    headers: () => ({ 'content-type': 'application/x-www-form-urlencoded' }),
+  });
+
+  assert.equal(recorder.pendingRequests.length, 1);
+  assert.equal(recorder.pendingRequests[0].postData, 'av=1&variables=%7B%22id%22%3A1%7D&doc_id=42');
+});
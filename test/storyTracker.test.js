@@ -0,0 +1,119 @@
+/**
+ * Story trackers: legacy migration, retention, corruption recovery and concurrent updates under the file lock
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Data directories are resolved from the working directory at import time: run in a scratch one
+const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'ig-tracker-'));
+process.chdir(sandbox);
+process.env.TRACKER_BACKEND = 'json';
+process.env.ARCHIVE_ENABLED = 'false';
+
+const { StoryTracker, listTrackers } = await import('../services/storyTracker.js');
+const { StoryArchive } = await import('../services/storyArchive.js');
+
+const TRACKER_DIR = path.join(sandbox, 'story_tracker');
+
+after(() => fs.rm(sandbox, { recursive: true, force: true }));
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(file, 'utf-8'));
+}
+
+test('migrates a legacy tracker under its lock', async () => {
+  const tracker = new StoryTracker('legacy');
+  await fs.mkdir(TRACKER_DIR, { recursive: true });
+  await fs.writeFile(tracker.trackerFile, JSON.stringify({
+    username: 'legacy',
+    processed_ids: ['1', '2', '3'],
+    last_updated: new Date().toISOString(),
+  }));
+
+  assert.deepEqual([...await tracker.getProcessedIds()].sort(), ['1', '2', '3']);
+
+  const saved = await readJson(tracker.trackerFile);
+  assert.equal(saved.version, 2);
+  assert.deepEqual(Object.keys(saved.entries).sort(), ['1', '2', '3']);
+  assert.equal(saved.processed_ids, undefined);
+  await assert.rejects(fs.access(`${tracker.trackerFile}.lock`), { code: 'ENOENT' });
+});
+
+test('prunes expired and unparseable first-seen dates on save', async () => {
+  const tracker = new StoryTracker('retention');
+  tracker.retentionHours = 1;
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  await tracker.update((data) => {
+    Object.assign(data.entries, { fresh: new Date().toISOString(), old, garbage: 'not a date', empty: null });
+  });
+
+  const saved = await readJson(tracker.trackerFile);
+  assert.deepEqual(Object.keys(saved.entries), ['fresh']);
+});
+
+test('keeps every ID when runs add to the same tracker concurrently', async () => {
+  const batches = Array.from({ length: 8 }, (_, i) => [`a${i}`, `b${i}`]);
+  // Separate instances, like separate runs
+  await Promise.all(batches.map(ids => new StoryTracker('concurrent').addStoryIds(ids)));
+
+  const ids = await new StoryTracker('concurrent').getProcessedIds();
+  assert.equal(ids.size, 16);
+  for (const id of batches.flat()) assert.ok(ids.has(id), id);
+});
+
+test('keeps every ID when separate processes add to the same tracker', { timeout: 60000 }, async () => {
+  const script = `
+    const { StoryTracker } = await import(${JSON.stringify(new URL('../services/storyTracker.js', import.meta.url).href)});
+    const worker = process.argv[1];
+    for (let i = 0; i < 5; i++) await new StoryTracker('processes').addStoryIds([worker + '-' + i]);
+  `;
+  const workers = ['w1', 'w2', 'w3'].map(worker => new Promise((resolve) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', script, worker], { cwd: sandbox, env: process.env });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('close', code => resolve({ code, stderr }));
+  }));
+  for (const { code, stderr } of await Promise.all(workers)) {
+    assert.equal(code, 0, stderr);
+  }
+
+  const ids = await new StoryTracker('processes').getProcessedIds();
+  assert.equal(ids.size, 15);
+});
+
+test('restores a corrupted tracker from its backup', async () => {
+  const tracker = new StoryTracker('corrupt');
+  await tracker.addStoryIds(['1']);
+  await tracker.addStoryIds(['2']); // the backup now holds ['1']
+  await fs.writeFile(tracker.trackerFile, '{"entries": {');
+
+  const ids = await new StoryTracker('corrupt').getProcessedIds();
+  assert.deepEqual([...ids], ['1']);
+  const files = await fs.readdir(TRACKER_DIR);
+  assert.ok(files.some(f => f.startsWith('stories_corrupt.json.corrupt-')));
+});
+
+test('lists trackers with usernames containing underscores', async () => {
+  await new StoryTracker('some_user', 'highlights').addStoryIds(['x']);
+  const trackers = await listTrackers();
+  assert.ok(trackers.some(t => t.username === 'some_user' && t.kind === 'highlights'));
+});
+
+test('imports a JSON tracker into an archive that already has stories of the target, once', async () => {
+  await new StoryTracker('switched').addStoryIds(['json-1', 'json-2']);
+  // Archived while the JSON backend was in use
+  const archive = new StoryArchive(path.join(sandbox, 'archive', 'stories.db'));
+  archive.trackKeys('switched', 'stories', ['archived-1']);
+
+  const withArchive = () => Object.assign(new StoryTracker('switched'), { archive });
+  assert.deepEqual([...await withArchive().getProcessedIds()].sort(), ['archived-1', 'json-1', 'json-2']);
+
+  await withArchive().clear();
+  assert.equal((await withArchive().getProcessedIds()).size, 0);
+  archive.close();
+});
@@ -0,0 +1,43 @@
+/**
+ * TOTP codes, checked against the RFC 6238 test vectors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeBase32, generateHotp, generateTotp, totpRemainingMs } from '../utils/totp.js';
+
+// RFC 6238 SHA-1 secret: the ASCII string "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('decodes base32 secrets, tolerating spaces, dashes, padding and lowercase', () => {
+  assert.equal(decodeBase32(RFC_SECRET).toString('ascii'), '12345678901234567890');
+  assert.deepEqual(decodeBase32('gezd gnbv-gy3t qojq===='), decodeBase32('GEZDGNBVGY3TQOJQ'));
+  assert.throws(() => decodeBase32('GEZD1'), /Invalid base32 character "1"/);
+});
+
+test('matches the RFC 4226 HOTP values', () => {
+  const key = Buffer.from('12345678901234567890');
+  const expected = ['755224', '287082', '359152', '969429', '338314'];
+  expected.forEach((code, counter) => assert.equal(generateHotp(key, counter), code));
+});
+
+test('matches the RFC 6238 TOTP values', () => {
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+  ];
+  for (const [seconds, code] of vectors) {
+    assert.equal(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 }), code, `T=${seconds}`);
+  }
+  // Six digits are the last six of the eight
+  assert.equal(generateTotp(RFC_SECRET, { time: 59 * 1000 }), '287082');
+});
+
+test('computes the time left before the code rotates', () => {
+  assert.equal(totpRemainingMs(30, 0), 30000);
+  assert.equal(totpRemainingMs(30, 29500), 500);
+  assert.equal(totpRemainingMs(30, 30000), 30000);
+});
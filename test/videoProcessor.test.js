@@ -0,0 +1,197 @@
+/**
+ * Media downloads streamed from Node: resume with Range requests, size checks, stalls and checksums
+ * Media comes from a local HTTP server whose behaviour each test scripts per request
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'ig-download-'));
+process.chdir(sandbox);
+process.env.PROXY_URL = '';
+process.env.IG_REPLAY_MODE = '';
+process.env.MEDIA_MAX_BYTES = String(1024 * 1024);
+process.env.DOWNLOAD_STALL_TIMEOUT = '300';
+process.env.MAX_RETRIES = '3';
+
+const { downloadFile } = await import('../services/videoProcessor.js');
+const { config } = await import('../config/env.js');
+// Retry at once
+config.retryPolicies.download = { ...config.retryPolicies.download, retryDelay: 1, maxDelay: 1 };
+
+const BODY = crypto.randomBytes(300 * 1024);
+const BODY_SHA256 = crypto.createHash('sha256').update(BODY).digest('hex');
+
+// Page stand-in: downloads only ask its context for the cookies
+const page = { context: () => ({ cookies: async () => [{ name: 'sessionid', value: 'abc' }, { name: 'csrftoken', value: 'def' }] }) };
+
+/**
+ * Handlers for the next requests, in order; once used up, requests are served in full (with Range support)
+ */
+let script = [];
+const requests = [];
+const sockets = new Set();
+
+function serveRange(req, res, body = BODY) {
+  const range = req.headers.range?.match(/^bytes=(\d+)-$/);
+  const start = range ? Number(range[1]) : 0;
+  res.writeHead(range ? 206 : 200, {
+    'Content-Length': body.length - start,
+    ...(range && { 'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}` }),
+  });
+  res.end(body.subarray(start));
+}
+
+const server = http.createServer((req, res) => {
+  requests.push({ range: req.headers.range || null, cookie: req.headers.cookie, encoding: req.headers['accept-encoding'] });
+  const handler = script.shift() || serveRange;
+  handler(req, res);
+});
+server.on('connection', (socket) => {
+  sockets.add(socket);
+  socket.on('close', () => sockets.delete(socket));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const URL_BASE = `http://127.0.0.1:${server.address().port}`;
+
+after(async () => {
+  sockets.forEach(socket => socket.destroy());
+  server.close();
+  await fs.rm(sandbox, { recursive: true, force: true });
+});
+
+let fileCount = 0;
+let destination;
+
+beforeEach(() => {
+  script = [];
+  requests.length = 0;
+  destination = path.join(sandbox, `download-${++fileCount}.mp4`);
+});
+
+async function exists(file) {
+  return fs.access(file).then(() => true, () => false);
+}
+
+/**
+ * Send the first `bytes` of the body announcing the full length, then drop the connection
+ */
+function dropAfter(bytes) {
+  return (req, res) => {
+    res.writeHead(200, { 'Content-Length': BODY.length });
+    res.write(BODY.subarray(0, bytes));
+    setTimeout(() => res.destroy(), 20);
+  };
+}
+
+test('streams the file to disk with the browser cookies and checksums it', async () => {
+  const result = await downloadFile(`${URL_BASE}/full.mp4`, destination, page);
+
+  assert.deepEqual(result, { bytes: BODY.length, sha256: BODY_SHA256 });
+  assert.ok((await fs.readFile(destination)).equals(BODY));
+  assert.equal(await exists(`${destination}.part`), false);
+  assert.equal(requests[0].cookie, 'sessionid=abc; csrftoken=def');
+  assert.equal(requests[0].encoding, 'identity');
+});
+
+test('resumes an interrupted download with a Range request', async () => {
+  script = [dropAfter(100 * 1024)];
+  const result = await downloadFile(`${URL_BASE}/resume.mp4`, destination, page);
+
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].range, `bytes=${100 * 1024}-`);
+  assert.deepEqual(result, { bytes: BODY.length, sha256: BODY_SHA256 });
+  assert.ok((await fs.readFile(destination)).equals(BODY));
+});
+
+test('restarts from scratch when the server ignores the Range header', async () => {
+  script = [dropAfter(100 * 1024), (req, res) => {
+    res.writeHead(200, { 'Content-Length': BODY.length });
+    res.end(BODY);
+  }];
+  const result = await downloadFile(`${URL_BASE}/no-range.mp4`, destination, page);
+
+  assert.equal(requests[1].range, `bytes=${100 * 1024}-`);
+  assert.deepEqual(result, { bytes: BODY.length, sha256: BODY_SHA256 });
+  assert.ok((await fs.readFile(destination)).equals(BODY));
+});
+
+test('restarts when the partial file no longer matches (416)', async () => {
+  script = [dropAfter(100 * 1024), (req, res) => {
+    res.writeHead(416);
+    res.end();
+  }];
+  const result = await downloadFile(`${URL_BASE}/changed.mp4`, destination, page);
+
+  assert.deepEqual(requests.map(r => r.range), [null, `bytes=${100 * 1024}-`, null]);
+  assert.equal(result.sha256, BODY_SHA256);
+});
+
+test('resumes a stalled download', async () => {
+  script = [(req, res) => {
+    res.writeHead(200, { 'Content-Length': BODY.length });
+    // Never finishes: the stall timeout aborts it
+    res.write(BODY.subarray(0, 50 * 1024));
+  }];
+  const result = await downloadFile(`${URL_BASE}/stall.mp4`, destination, page);
+
+  assert.equal(requests[1].range, `bytes=${50 * 1024}-`);
+  assert.equal(result.sha256, BODY_SHA256);
+});
+
+test('rejects files over the size limit without retrying', async () => {
+  const large = Buffer.alloc(2 * 1024 * 1024);
+  script = [(req, res) => serveRange(req, res, large)];
+
+  await assert.rejects(downloadFile(`${URL_BASE}/large.mp4`, destination, page), /File too large/);
+  assert.equal(requests.length, 1);
+  assert.equal(await exists(destination), false);
+  assert.equal(await exists(`${destination}.part`), false);
+});
+
+test('rejects oversized bodies sent without a length', async () => {
+  script = [(req, res) => {
+    res.writeHead(200);
+    res.end(Buffer.alloc(2 * 1024 * 1024));
+  }];
+
+  await assert.rejects(downloadFile(`${URL_BASE}/chunked.mp4`, destination, page), /File too large/);
+  assert.equal(requests.length, 1);
+  assert.equal(await exists(`${destination}.part`), false);
+});
+
+test('rethrows HTTP errors with their status, retrying only transient ones', async () => {
+  script = [(req, res) => {
+    res.writeHead(404);
+    res.end();
+  }];
+  await assert.rejects(downloadFile(`${URL_BASE}/missing.mp4`, destination, page), { name: 'HttpError', status: 404 });
+  assert.equal(requests.length, 1);
+
+  requests.length = 0;
+  script = [503, 503].map(status => (req, res) => {
+    res.writeHead(status);
+    res.end();
+  });
+  const result = await downloadFile(`${URL_BASE}/flaky.mp4`, destination, page);
+  assert.equal(requests.length, 3);
+  assert.equal(result.sha256, BODY_SHA256);
+});
+
+test('gives each destination its own partial file', async () => {
+  const other = path.join(sandbox, 'concurrent-other.mp4');
+  const [first, second] = await Promise.all([
+    downloadFile(`${URL_BASE}/same.mp4`, destination, page),
+    downloadFile(`${URL_BASE}/same.mp4`, other, page),
+  ]);
+
+  assert.equal(first.sha256, BODY_SHA256);
+  assert.equal(second.sha256, BODY_SHA256);
+  assert.ok((await fs.readFile(destination)).equals(BODY));
+  assert.ok((await fs.readFile(other)).equals(BODY));
+});
@@ -1,9 +1,24 @@
 import fetch from 'node-fetch';
 import { config } from '../config/env.js';
 import { log } from './logger.js';
+import { withRetry, HttpError, isRetryableStatus } from './retry.js';
+
+/**
+ * Fetch with the API retry policy: network errors, 408/429 and 5xx responses are retried
+ */
+async function fetchWithRetry(url, options) {
+  return withRetry('api', async () => {
+    const response = await fetch(url, options);
+    if (isRetryableStatus(response.status)) {
+      throw new HttpError(response.status, `HTTP ${response.status}: ${(await response.text()).substring(0, 200)}`);
+    }
+    return response;
+  });
+}
 
 /**
  * Send data to Laravel API
+ * Returns { success, data } or { success: false, error, status } (status is null for network errors)
  */
 export async function sendToApi(endpoint, data) {
   try {
@@ -15,7 +30,7 @@ export async function sendToApi(endpoint, data) {
 
     log(`✓ API request: ${endpoint}: ${data}`);
 
-    const response = await fetch(url, {
+    const response = await fetchWithRetry(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(data),
@@ -29,11 +44,11 @@ export async function sendToApi(endpoint, data) {
     } else {
       const text = await response.text();
       log(`❌ API ${endpoint} errore ${response.status}: ${text}`);
-      return { success: false, error: text };
+      return { success: false, error: text, status: response.status };
     }
   } catch (error) {
     log(`❌ Errore invio API ${endpoint}: ${error.message}`);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, status: error.status ?? null };
   }
 }
 
@@ -43,7 +58,7 @@ export async function sendToApi(endpoint, data) {
 export async function testApiConnection() {
   try {
     const url = `${config.laravelApiUrl}/ping`;
-    const response = await fetch(url, {
+    const response = await fetchWithRetry(url, {
       method: 'GET',
       headers: { 'X-API-Key': config.laravelApiKey },
       timeout: 10000,
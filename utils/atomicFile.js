@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Crash-safe and concurrency-safe file updates
+ *
+ * writeFileAtomic() writes to a temp file next to the target and renames it over the target, so readers
+ * see either the old or the new content, never a truncated file.
+ * withFileLock() serializes read-modify-write cycles across processes with a `<file>.lock` file.
+ */
+
+// A lock not refreshed for this long is left over from a crashed process (holders refresh it every third of it)
+const STALE_LOCK_AGE = 30000;
+const LOCK_RETRY_DELAY = 50;
+
+/**
+ * Thrown when a lock can't be acquired before the timeout
+ */
+export class FileLockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FileLockError';
+  }
+}
+
+/**
+ * Write a file atomically: temp file, fsync, rename
+ */
+export async function writeFileAtomic(file, data, options = {}) {
+  const tempFile = `${file}.${process.pid}.${Date.now().toString(36)}.tmp`;
+  const handle = await fs.open(tempFile, 'w', options.mode);
+  try {
+    await handle.writeFile(data, options.encoding || 'utf-8');
+    await handle.sync();
+  } catch (error) {
+    await handle.close().catch(() => {});
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+  await handle.close();
+
+  try {
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Whether a lock file was left behind: too old, or held by a process of this host that no longer runs
+ */
+async function isStaleLock(lockFile) {
+  let owner = null;
+  let stats;
+  try {
+    stats = await fs.stat(lockFile);
+    owner = JSON.parse(await fs.readFile(lockFile, 'utf-8'));
+  } catch (error) {
+    // Gone already, or caught between creation and write: only its age can tell
+    if (!stats) return false;
+  }
+
+  if (Date.now() - stats.mtimeMs > STALE_LOCK_AGE) return true;
+
+  if (owner?.pid && owner.hostname === os.hostname()) {
+    try {
+      process.kill(owner.pid, 0);
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+  return false;
+}
+
+/**
+ * Remove a stale lock, one waiter at a time
+ * Waiters that saw the same stale lock would each unlink it, the later ones removing the lock the first one took
+ * meanwhile: the check is repeated while holding `<lock>.break`, so only a lock still stale is removed
+ * Returns false when another waiter is already breaking it
+ */
+async function breakStaleLock(lockFile) {
+  const breakFile = `${lockFile}.break`;
+  try {
+    await (await fs.open(breakFile, 'wx')).close();
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    // Only a crash while breaking leaves it behind
+    const stats = await fs.stat(breakFile).catch(() => null);
+    if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_AGE) await fs.unlink(breakFile).catch(() => {});
+    return false;
+  }
+
+  try {
+    if (await isStaleLock(lockFile)) await fs.unlink(lockFile).catch(() => {});
+    return true;
+  } finally {
+    await fs.unlink(breakFile).catch(() => {});
+  }
+}
+
+/**
+ * Run `fn` while holding the lock of `file`
+ * Waits up to `timeout` ms for another holder, breaking stale locks; throws FileLockError on timeout
+ * The lock is refreshed while `fn` runs, so long operations (e.g. network calls) keep it
+ */
+export async function withFileLock(file, fn, { timeout = 10000 } = {}) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + timeout;
+  await fs.mkdir(path.dirname(lockFile), { recursive: true });
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockFile, 'wx');
+      await handle.writeFile(JSON.stringify({ pid: process.pid, hostname: os.hostname(), created_at: new Date().toISOString() }));
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (await isStaleLock(lockFile) && await breakStaleLock(lockFile)) continue;
+    if (Date.now() >= deadline) {
+      throw new FileLockError(`Timed out after ${timeout}ms waiting for lock ${lockFile}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+  }
+
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockFile, now, now).catch(() => {});
+  }, STALE_LOCK_AGE / 3);
+  heartbeat.unref();
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    await fs.unlink(lockFile).catch(() => {});
+  }
+}
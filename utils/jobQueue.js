@@ -0,0 +1,85 @@
+import { log } from './logger.js';
+import { withRetry } from './retry.js';
+
+/**
+ * Background job queue with bounded concurrency
+ * Callers enqueue work and carry on (e.g. the story walker moving to the next story while media downloads),
+ * then join() once before using the results. With `retries`, a failed job is retried with the retry policy named
+ * after the queue; leave it at 0 when the jobs retry their own steps.
+ */
+export class JobQueue {
+  constructor(name, { concurrency = 2, retries = 0 } = {}) {
+    this.name = name;
+    this.concurrency = Math.max(1, concurrency);
+    this.retries = retries;
+    this.pending = []; // jobs waiting for a slot: { label, fn, resolve, reject }
+    this.running = 0;
+    this.idleWaiters = [];
+    this.resetProgress();
+  }
+
+  resetProgress() {
+    this.progress = { total: 0, done: 0, failed: 0, startedAt: Date.now() };
+  }
+
+  /**
+   * Queue `fn` (receives the attempt number); resolves with its result, rejects once its retries are exhausted
+   */
+  add(label, fn) {
+    this.progress.total++;
+    const promise = new Promise((resolve, reject) => {
+      this.pending.push({ label, fn, resolve, reject });
+    });
+    this.next();
+    return promise;
+  }
+
+  /**
+   * Jobs not finished yet
+   */
+  get size() {
+    return this.pending.length + this.running;
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.run(this.pending.shift());
+    }
+    if (this.size === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    try {
+      job.resolve(this.retries > 0 ? await withRetry(this.name, job.fn, { maxRetries: this.retries }) : await job.fn(1));
+      this.progress.done++;
+    } catch (error) {
+      this.progress.failed++;
+      job.reject(error);
+    } finally {
+      this.running--;
+      const { total, done, failed } = this.progress;
+      console.log(`[DEBUG] ${this.name} jobs: ${done + failed}/${total} finished (${failed} failed, ${this.running} running) - ${job.label}`);
+      this.next();
+    }
+  }
+
+  /**
+   * Wait until every queued job has finished; returns the progress since the last join
+   */
+  async join() {
+    if (this.size > 0) {
+      log(`⏳ Waiting for ${this.size} ${this.name} jobs...`);
+      await new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    const { total, done, failed, startedAt } = this.progress;
+    if (total > 0) {
+      log(`✓ ${this.name} jobs: ${done} done, ${failed} failed (${((Date.now() - startedAt) / 1000).toFixed(1)}s)`);
+    }
+    this.resetProgress();
+    return { total, done, failed };
+  }
+}
@@ -1,9 +1,11 @@
 const logMessages = [];
+// Commands whose stdout is machine-readable (cli.js --json) send the log to stderr
+let logToStderr = false;
 
 export function log(message) {
   const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
   const formattedMessage = `[${timestamp}] ${message}`;
-  console.log(formattedMessage);
+  (logToStderr ? console.error : console.log)(formattedMessage);
   logMessages.push(formattedMessage);
 }
 
@@ -18,3 +20,7 @@ export function getLastLogMessages(count = 50) {
 export function clearLogs() {
   logMessages.length = 0;
 }
+
+export function setLogToStderr(enabled = true) {
+  logToStderr = enabled;
+}
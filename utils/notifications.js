@@ -1,28 +1,47 @@
 import fetch from 'node-fetch';
 import { config } from '../config/env.js';
 import { log } from './logger.js';
+import { withRetry, HttpError, isRetryableStatus } from './retry.js';
+
+/**
+ * Post to Formspree with the notification retry policy
+ */
+async function postNotification(data) {
+  return withRetry('notification', async () => {
+    const response = await fetch(config.formspreeUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+      timeout: 10000,
+    });
+    if (isRetryableStatus(response.status)) {
+      throw new HttpError(response.status);
+    }
+    return response;
+  });
+}
 
 /**
  * Send error notification via Formspree
  */
 export async function sendErrorNotification(errorType, errorMessage, details = {}) {
+  if (config.replayMode === 'replay') {
+    log(`⏵ Replay: error notification skipped (${errorType})`);
+    return;
+  }
+
   try {
     const data = {
       script: 'ig_sync_stories.js (Node.js)',
       error_type: errorType,
       error_message: errorMessage,
       timestamp: new Date().toISOString(),
-      target_account: config.igTargetUsername,
+      target_account: config.igTargetUsernames.join(', '),
       login_account: config.igUsername,
       ...details,
     };
 
-    const response = await fetch(config.formspreeUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data),
-      timeout: 10000,
-    });
+    const response = await postNotification(data);
 
     if (response.status === 200) {
       log('✓ Notifica errore inviata via email');
@@ -37,24 +56,25 @@ export async function sendErrorNotification(errorType, errorMessage, details = {
 /**
  * Send success notification via Formspree
  */
-export async function sendSuccessNotification(storiesCount, logMessages) {
+export async function sendSuccessNotification(storiesCount, logMessages, details = {}) {
+  if (config.replayMode === 'replay') {
+    log('⏵ Replay: success notification skipped');
+    return;
+  }
+
   try {
     const data = {
       script: 'ig_sync_stories.js (Node.js)',
       status: 'SUCCESS',
       stories_processed: storiesCount,
       timestamp: new Date().toISOString(),
-      target_account: config.igTargetUsername,
+      target_account: config.igTargetUsernames.join(', '),
       login_account: config.igUsername,
       log: logMessages.slice(-50).join('\n'),
+      ...details,
     };
 
-    const response = await fetch(config.formspreeUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data),
-      timeout: 10000,
-    });
+    const response = await postNotification(data);
 
     if (response.status === 200) {
       log('✓ Notifica successo inviata via email');
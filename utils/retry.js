@@ -0,0 +1,93 @@
+import { config } from '../config/env.js';
+import { log } from './logger.js';
+
+// Network error codes worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Messages of transient failures (Playwright net::ERR_*, fetch/socket errors, timeouts)
+const RETRYABLE_MESSAGE = /net::ERR_|timeout|timed out|socket hang up|network|ECONNRESET|ETIMEDOUT|fetch failed|Failed to fetch/i;
+
+/**
+ * Error for a non-successful HTTP response, carrying its status code
+ */
+export class HttpError extends Error {
+  constructor(status, message = `HTTP ${status}`) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Whether an HTTP status is worth retrying (timeouts, rate limits, server errors)
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+/**
+ * Default retryable-error classification
+ * An explicit `error.retryable` wins, then the HTTP status, then network codes and messages
+ */
+export function isRetryableError(error) {
+  if (!error) return false;
+  if (typeof error.retryable === 'boolean') return error.retryable;
+
+  const status = error.status ?? Number(error.message?.match(/\bHTTP (\d{3})\b/)?.[1]);
+  if (status) return isRetryableStatus(status);
+
+  if (error.name === 'TimeoutError' || error.type === 'request-timeout') return true;
+  if (RETRYABLE_CODES.includes(error.code)) return true;
+  return RETRYABLE_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Resolve the retry policy of an operation: defaults from config, then per-operation config, then call overrides
+ */
+export function getRetryPolicy(operation, overrides = {}) {
+  return {
+    maxRetries: config.maxRetries,
+    retryDelay: config.retryDelay,
+    maxDelay: config.retryMaxDelay,
+    factor: 2,
+    shouldRetry: isRetryableError,
+    ...(config.retryPolicies[operation] || {}),
+    ...overrides,
+  };
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of base * factor^(attempt - 1)
+ */
+export function getBackoffDelay(attempt, policy) {
+  const delay = Math.min(policy.maxDelay, policy.retryDelay * policy.factor ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Run `fn` with the retry policy of `operation`, logging each failed attempt
+ * `fn` receives the attempt number (1-based); the last error is rethrown when attempts run out
+ */
+export async function withRetry(operation, fn, overrides = {}) {
+  const policy = getRetryPolicy(operation, overrides);
+  const attempts = policy.maxRetries + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const retryable = policy.shouldRetry(error);
+
+      if (!retryable || attempt >= attempts) {
+        if (attempt > 1 || retryable) {
+          log(`❌ ${operation}: attempt ${attempt}/${attempts} failed, giving up: ${error.message}`);
+        }
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, policy);
+      log(`⚠ ${operation}: attempt ${attempt}/${attempts} failed: ${error.message} - retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { config } from '../config/env.js';
+
+/**
+ * Session encryption at rest (AES-256-GCM)
+ *
+ * The key comes from SESSION_ENCRYPTION_KEY or the file at SESSION_KEY_FILE:
+ * `hex:` or `base64:` followed by 32 bytes is a raw key used as-is, anything else is a passphrase derived with scrypt.
+ * An encrypted file is a JSON envelope: { encrypted, version, kdf, salt, iv, tag, data }
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+// Binds the ciphertext to its purpose: a blob encrypted for something else won't decrypt as a session
+const AAD = Buffer.from('instagram-session:v1');
+
+/**
+ * Thrown when a session can't be decrypted: missing key, wrong key or tampered file
+ */
+export class SessionKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionKeyError';
+  }
+}
+
+/**
+ * Read the configured secret (null when encryption is not configured)
+ */
+export async function loadSessionSecret() {
+  if (config.sessionEncryptionKey) return config.sessionEncryptionKey.trim();
+  if (!config.sessionKeyFile) return null;
+
+  try {
+    const secret = (await fs.readFile(config.sessionKeyFile, 'utf-8')).trim();
+    if (!secret) throw new Error('file is empty');
+    return secret;
+  } catch (error) {
+    throw new SessionKeyError(`Cannot read SESSION_KEY_FILE ${config.sessionKeyFile}: ${error.message}`);
+  }
+}
+
+// Prefixes marking a raw key; without one, even a key-looking secret is a passphrase
+const RAW_KEY_ENCODINGS = { 'hex:': 'hex', 'base64:': 'base64' };
+
+/**
+ * Turn a secret into a 256-bit key: prefixed raw keys as-is, passphrases through scrypt with the file's salt
+ * Throws SessionKeyError when a prefixed raw key is not 32 bytes
+ */
+function deriveKey(secret, salt) {
+  for (const [prefix, encoding] of Object.entries(RAW_KEY_ENCODINGS)) {
+    if (!secret.startsWith(prefix)) continue;
+    const key = Buffer.from(secret.slice(prefix.length), encoding);
+    if (key.length !== 32) {
+      throw new SessionKeyError(`Session key "${prefix}..." must encode 32 bytes, got ${key.length}`);
+    }
+    return { key, kdf: null };
+  }
+  return { key: crypto.scryptSync(secret, salt, 32), kdf: 'scrypt' };
+}
+
+/**
+ * Whether parsed file content is an encrypted envelope
+ */
+export function isEncryptedEnvelope(data) {
+  return Boolean(data && typeof data === 'object' && data.encrypted === ALGORITHM && data.data);
+}
+
+/**
+ * Encrypt a JSON-serializable value into an envelope
+ */
+export function encryptJson(value, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const { key, kdf } = deriveKey(secret, salt);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(AAD);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    encrypted: ALGORITHM,
+    version: ENVELOPE_VERSION,
+    kdf,
+    salt: kdf ? salt.toString('base64') : null,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+/**
+ * Decrypt an envelope back into its value
+ * Throws SessionKeyError when the key is wrong or the file was modified
+ */
+export function decryptJson(envelope, secret, source = 'session file') {
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new SessionKeyError(`Unsupported encryption version ${envelope.version} in ${source}`);
+  }
+
+  const salt = envelope.salt ? Buffer.from(envelope.salt, 'base64') : Buffer.alloc(0);
+  const { key, kdf } = deriveKey(secret, salt);
+  if (kdf !== envelope.kdf) {
+    throw new SessionKeyError(`Cannot decrypt ${source}: the configured key is a ${kdf ? 'passphrase' : 'raw key'} but the file was encrypted with a ${envelope.kdf ? 'passphrase' : 'raw key (prefix it with hex: or base64:)'}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(AAD);
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new SessionKeyError(`Cannot decrypt ${source}: wrong session encryption key or corrupted file`);
+  }
+}